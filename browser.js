@@ -8,6 +8,9 @@ module.exports = {
     HTTPStore   : require('./lib/http-store'),
     Router      : require('./lib/router'),
     Protocols   : require('./lib/protocols'),
+    CachedStore : require('./lib/cached-store'),
+    AccessControlledStore : require('./lib/access-controlled-store'),
+    PermissionStore : require('./lib/permission-store'),
 
     Viewer      : require('./lib/viewer'),    
 };
@@ -10,6 +10,11 @@ module.exports = {
     get HTTPStore   () {return require('./lib/http-store')},
     get Router      () {return require('./lib/router')},
     get Protocols   () {return require('./lib/protocols')},
+    get CachedStore () {return require('./lib/cached-store')},
+    get AccessControlledStore () {return require('./lib/access-controlled-store')},
+    get PermissionStore () {return require('./lib/permission-store')},
     
     get HTTPServer  () {return require("./lib/http-server")},
+    get StaticSite  () {return require("./lib/static-site")},
+    get Config      () {return require("./lib/config")},
 };
@@ -0,0 +1,212 @@
+const pathlib = require('path');
+const Store = require('./store');
+
+
+
+/**
+ *  AccessControlledStore
+ *  ============================================================================
+ *  This store wraps another store and restricts the access to it according
+ *  to a set of read/write rules defined per path prefix.
+ *
+ *  ```js
+ *  rules = {
+ *      "/"             : "rw",
+ *      "/templates/"   : "r",
+ *      "/secret/"      : "",
+ *      ...
+ *  };
+ *
+ *  acStore = new AccessControlledStore(store, rules);
+ *  ```
+ *
+ *  - `store` is the wrapped store
+ *  - `rules` is an object mapping path prefixes to a string containing `r`
+ *    if the read operations are allowed and `w` if the write operations are
+ *    allowed
+ *
+ *  Every operation on a given path is checked against the rule with the
+ *  longest path prefix matching the path; paths not matching any rule are
+ *  not restricted. The read operations (`read`, `list`, `history`,
+ *  `readVersion`, `watch`) throw a `Store.ReadPermissionDeniedError` if not
+ *  allowed; the write operations (`write`, `delete`, `deleteAll`) throw a
+ *  `Store.WriteOperationNotAllowedError` if not allowed.
+ *
+ *  For example, a read-only store of templates can be mounted in a router
+ *  as follows:
+ *
+ *  ```js
+ *  router = new Router({
+ *      "/": new FileStore(homePath),
+ *      "/templates/": new AccessControlledStore(new FileStore(tplPath), {"/":"r"})
+ *  });
+ *  ```
+ */
+class AccessControlledStore extends Store {
+
+    constructor (store, rules={}) {
+        super();
+        this.store = store;
+        this._rules = {};
+        for (let path in rules) {
+            this._rules[ normalizeDirPath(path) ] = rules[path];
+        }
+    }
+
+
+    /**
+     *  acStore.read - async method
+     *  ------------------------------------------------------------------------
+     *  Returns `await store.read(path)` if the read operations are allowed on
+     *  the given path, otherwise it throws `Store.ReadPermissionDeniedError`.
+     */
+    async read (path) {
+        this.assertReadPermission(path);
+        return await this.store.read(path);
+    }
+
+
+    /**
+     *  acStore.list - async method
+     *  ------------------------------------------------------------------------
+     *  Returns `await store.list(path)` if the read operations are allowed on
+     *  the given path, otherwise it throws `Store.ReadPermissionDeniedError`.
+     */
+    async list (path) {
+        this.assertReadPermission(path);
+        return await this.store.list(path);
+    }
+
+
+    /**
+     *  acStore.write - async method
+     *  ------------------------------------------------------------------------
+     *  Calls `await store.write(path, source, options)` if the write
+     *  operations are allowed on the given path, otherwise it throws
+     *  `Store.WriteOperationNotAllowedError`.
+     */
+    async write (path, source, options={}) {
+        this.assertWritePermission(path);
+        return await this.store.write(path, source, options);
+    }
+
+
+    /**
+     *  acStore.delete - async method
+     *  ------------------------------------------------------------------------
+     *  Calls `await store.delete(path)` if the write operations are allowed
+     *  on the given path, otherwise it throws
+     *  `Store.WriteOperationNotAllowedError`.
+     */
+    async delete (path) {
+        this.assertWritePermission(path);
+        return await this.store.delete(path);
+    }
+
+
+    /**
+     *  acStore.deleteAll - async method
+     *  ------------------------------------------------------------------------
+     *  Calls `await store.deleteAll(path)` if the write operations are allowed
+     *  on the given path and on all the rule paths under it, otherwise it
+     *  throws `Store.WriteOperationNotAllowedError`.
+     */
+    async deleteAll (path) {
+        const dirPath = normalizeDirPath(path);
+        this.assertWritePermission(dirPath);
+        for (let rulePath in this._rules) {
+            if (rulePath.indexOf(dirPath) === 0) this.assertWritePermission(rulePath);
+        }
+        return await this.store.deleteAll(path);
+    }
+
+
+    /**
+     *  acStore.history - async method
+     *  ------------------------------------------------------------------------
+     *  Returns `await store.history(path)` if the read operations are allowed
+     *  on the given path, otherwise it throws `Store.ReadPermissionDeniedError`.
+     */
+    async history (path) {
+        this.assertReadPermission(path);
+        return await this.store.history(path);
+    }
+
+
+    /**
+     *  acStore.readVersion - async method
+     *  ------------------------------------------------------------------------
+     *  Returns `await store.readVersion(path, versionId)` if the read
+     *  operations are allowed on the given path, otherwise it throws
+     *  `Store.ReadPermissionDeniedError`.
+     */
+    async readVersion (path, versionId) {
+        this.assertReadPermission(path);
+        return await this.store.readVersion(path, versionId);
+    }
+
+
+    /**
+     *  acStore.watch - method
+     *  ------------------------------------------------------------------------
+     *  Returns `store.watch(path, callback)` if the read operations are
+     *  allowed on the given path, otherwise it throws
+     *  `Store.ReadPermissionDeniedError`. The changes to documents that
+     *  cannot be read are not notified.
+     */
+    watch (path, callback) {
+        this.assertReadPermission(path);
+        return this.store.watch(path, change => {
+            if (this.hasPermission('read', change.path)) callback(change);
+        });
+    }
+
+
+    /**
+     *  acStore.getDelimiters - method
+     *  ------------------------------------------------------------------------
+     *  Returns `store.getDelimiters(path)`.
+     */
+    getDelimiters (path) {
+        return this.store.getDelimiters(path);
+    }
+
+
+    // INTERNALS
+
+    // Returns the rule with the longest path prefix matching the given path
+    // or undefined if no rule matches.
+    matchRule (path) {
+        const normPath = this.normalizePath(path);
+        const rulePaths = Object.keys(this._rules).sort().reverse();
+        const rulePath = rulePaths.find(rulePath =>
+                normPath.indexOf(rulePath) === 0 || normPath === rulePath.slice(0,-1));
+        return rulePath === undefined ? undefined : this._rules[rulePath];
+    }
+
+    // Returns true if the given permission (`read` or `write`) is granted
+    // on the given path.
+    hasPermission (permission, path) {
+        const rule = this.matchRule(path);
+        if (rule === undefined) return true;
+        return String(rule).indexOf(permission[0]) !== -1;
+    }
+
+    assertReadPermission (path) {
+        if (!this.hasPermission('read', path)) {
+            throw new this.constructor.ReadPermissionDeniedError(this.normalizePath(path));
+        }
+    }
+
+    assertWritePermission (path) {
+        if (!this.hasPermission('write', path)) {
+            throw new this.constructor.WriteOperationNotAllowedError(this.normalizePath(path));
+        }
+    }
+}
+
+module.exports = AccessControlledStore;
+
+
+
+const normalizeDirPath = path => pathlib.normalize(`/${path}/`);
@@ -0,0 +1,225 @@
+const Store = require('./store');
+
+
+
+/**
+ *  CachedStore
+ *  ============================================================================
+ *  This store wraps another store and memoizes the results of its `read` and
+ *  `list` methods.
+ *
+ *  ```js
+ *  cachedStore = new CachedStore(store, {ttl, maxSize});
+ *  ```
+ *
+ *  - `store` is the wrapped store; typically a remote store like `HTTPStore`
+ *  - `options.ttl` is the time in milliseconds after which a cached entry
+ *    expires; it defaults to `Infinity`
+ *  - `options.maxSize` is the maximum number of cached entries; when the
+ *    limit is reached, the least recently used entry is dropped; it defaults
+ *    to `1000`
+ *
+ *  The cached entries are invalidated whenever they get modified via the
+ *  `write`, `delete` and `deleteAll` methods of the `CachedStore` and when
+ *  a change is notified to the `watch` callbacks. Changes made directly
+ *  to the wrapped store, bypassing the `CachedStore`, will be visible only
+ *  after the cached entries expire or after calling `cachedStore.clear()`.
+ */
+class CachedStore extends Store {
+
+    constructor (store, options={}) {
+        super();
+        this.store = store;
+        this.ttl = options.ttl === undefined ? Infinity : options.ttl;
+        this.maxSize = options.maxSize === undefined ? 1000 : options.maxSize;
+        this._cache = new Map();
+    }
+
+
+    /**
+     *  cachedStore.read - async method
+     *  ------------------------------------------------------------------------
+     *  Returns `await store.read(path)`; the result is cached and subsequent
+     *  calls with the same path will return the cached value until it expires
+     *  or gets invalidated.
+     */
+    async read (path) {
+        const normPath = this.normalizePath(path);
+        return await this._cached(`read:${normPath}`, () => this.store.read(normPath));
+    }
+
+
+    /**
+     *  cachedStore.list - async method
+     *  ------------------------------------------------------------------------
+     *  Returns `await store.list(path)`; the result is cached and subsequent
+     *  calls with the same path will return the cached value until it expires
+     *  or gets invalidated.
+     */
+    async list (path) {
+        const normPath = this.normalizePath(`${path}/`);
+        const entries = await this._cached(`list:${normPath}`, () => this.store.list(normPath));
+        return entries.slice();
+    }
+
+
+    /**
+     *  cachedStore.write - async method
+     *  ------------------------------------------------------------------------
+     *  Calls `await store.write(path, source, options)` and invalidates the
+     *  cached entries affected by the change.
+     */
+    async write (path, source, options={}) {
+        try {
+            return await this.store.write(path, source, options);
+        } finally {
+            this.invalidate(path);
+        }
+    }
+
+
+    /**
+     *  cachedStore.delete - async method
+     *  ------------------------------------------------------------------------
+     *  Calls `await store.delete(path)` and invalidates the cached entries
+     *  affected by the change.
+     */
+    async delete (path) {
+        try {
+            return await this.store.delete(path);
+        } finally {
+            this.invalidate(path);
+        }
+    }
+
+
+    /**
+     *  cachedStore.deleteAll - async method
+     *  ------------------------------------------------------------------------
+     *  Calls `await store.deleteAll(path)` and invalidates the cached entries
+     *  affected by the change.
+     */
+    async deleteAll (path) {
+        try {
+            return await this.store.deleteAll(path);
+        } finally {
+            this.invalidate(this.normalizePath(`${path}/`));
+        }
+    }
+
+
+    /**
+     *  cachedStore.history - async method
+     *  ------------------------------------------------------------------------
+     *  Returns `await store.history(path)`. The result is not cached.
+     */
+    async history (path) {
+        return await this.store.history(path);
+    }
+
+
+    /**
+     *  cachedStore.readVersion - async method
+     *  ------------------------------------------------------------------------
+     *  Returns `await store.readVersion(path, versionId)`. The result is not
+     *  cached.
+     */
+    async readVersion (path, versionId) {
+        return await this.store.readVersion(path, versionId);
+    }
+
+
+    /**
+     *  cachedStore.watch - method
+     *  ------------------------------------------------------------------------
+     *  Returns `store.watch(path, callback)`, invalidating the cached entries
+     *  affected by each notified change before calling the `callback`.
+     */
+    watch (path, callback) {
+        return this.store.watch(path, change => {
+            this.invalidate(change.path);
+            callback(change);
+        });
+    }
+
+
+    /**
+     *  cachedStore.getDelimiters - method
+     *  ------------------------------------------------------------------------
+     *  Returns `store.getDelimiters(path)`.
+     */
+    getDelimiters (path) {
+        return this.store.getDelimiters(path);
+    }
+
+
+    /**
+     *  cachedStore.invalidate - method
+     *  ------------------------------------------------------------------------
+     *  Removes from the cache the entries affected by a change of the given
+     *  path: the read entry of the path, the list entries of its parent
+     *  directories and, if `path` is a directory path, all the entries under
+     *  it.
+     */
+    invalidate (path) {
+        const normPath = this.normalizePath(path);
+        for (let key of Array.from(this._cache.keys())) {
+            const [type, keyPath] = splitKey(key);
+            if (keyPath === normPath ||
+                    (normPath.slice(-1) === '/' && keyPath.indexOf(normPath) === 0) ||
+                    (type === 'list' && normPath.indexOf(keyPath) === 0)) {
+                this._cache.delete(key);
+            }
+        }
+    }
+
+
+    /**
+     *  cachedStore.clear - method
+     *  ------------------------------------------------------------------------
+     *  Removes all the entries from the cache.
+     */
+    clear () {
+        this._cache.clear();
+    }
+
+
+    // INTERNALS
+
+    // Returns the cached value of the given key or, if missing or expired,
+    // the value returned by `load()`, which gets cached.
+    _cached (key, load) {
+        const entry = this._cache.get(key);
+        if (entry && Date.now() - entry.time < this.ttl) {
+            // Re-insert the entry to mark it as most recently used
+            this._cache.delete(key);
+            this._cache.set(key, entry);
+            return entry.value;
+        }
+
+        const value = Promise.resolve().then(load);
+        this._cache.delete(key);
+        this._cache.set(key, {value, time: Date.now()});
+        while (this._cache.size > this.maxSize) {
+            this._cache.delete(this._cache.keys().next().value);
+        }
+
+        // Errors don't get cached
+        value.catch(error => {
+            if (this._cache.has(key) && this._cache.get(key).value === value) {
+                this._cache.delete(key);
+            }
+        });
+
+        return value;
+    }
+}
+
+module.exports = CachedStore;
+
+
+
+const splitKey = key => {
+    const index = key.indexOf(':');
+    return [key.slice(0, index), key.slice(index+1)];
+}
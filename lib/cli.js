@@ -0,0 +1,230 @@
+/**
+ *  cli module
+ *  ============================================================================
+ *  This module implements the `olojs` command line interface.
+ *
+ *  ```sh
+ *  olojs [--store <store>] <command> [arguments]
+ *  ```
+ *
+ *  The `--store` option defines the store the command operates on: it can
+ *  be either a `http://` or `https://` URL, in which case an
+ *  [HTTPStore](./http-store.md) will be used, or a directory path, in which
+ *  case a [FileStore](./file-store.md) will be used.
+ *
+ *  The `--config` option defines the path of a [configuration file](./config.md)
+ *  describing the store and the server options. If neither `--store` nor
+ *  `--config` are passed, the `olojs.config.json` file of the current working
+ *  directory is used if it exists, otherwise the commands operate on a
+ *  `FileStore` rooted at the current working directory.
+ *
+ *  The available commands are:
+ *
+ *  - `olojs render <docId>` prints the rendered text of the document
+ *  - `olojs read <path>` prints the source of the document
+ *  - `olojs write <path> [source]` changes the source of the document; if
+ *    `source` is omitted, it is read from the standard input
+ *  - `olojs list <path>` prints the entries of the directory, one per line
+ *  - `olojs delete <path>` deletes the document; if `path` ends with `/` it
+ *    deletes all the documents in the directory
+ *  - `olojs serve [--port <port>]` serves the store and the document viewer
+ *    over HTTP; the port and the other server options default to the
+ *    configuration file ones, if any, or to port `8010`; the command fails
+ *    if the server cannot listen on the port (e.g. because it is in use)
+ *  - `olojs export <outputPath> [path]` renders the documents contained in
+ *    the store directory `path` (defaulting to `/`) and writes them as static
+ *    HTML pages to the `outputPath` directory (see
+ *    [StaticSite.export](./static-site.md))
+ *  - `olojs help` prints the usage instructions
+ *
+ *  On error, the commands print the error message to the standard error and
+ *  exit with code `1`.
+ */
+
+const pathlib = require('path');
+const fs = require('fs');
+const Config = require('./config');
+const HTTPServer = require('./http-server');
+const StaticSite = require('./static-site');
+
+
+
+const USAGE = `Usage: olojs [--store <store>] <command> [arguments]
+
+Commands:
+  render <docId>              print the rendered text of a document
+  read <path>                 print the source of a document
+  write <path> [source]       write a document; the source defaults to stdin
+  list <path>                 print the entries of a directory
+  delete <path>               delete a document, or a directory if path ends with /
+  serve [--port <port>]       serve the store and the viewer over HTTP
+  export <outputPath> [path]  write the rendered documents as static HTML pages
+  help                        print this message
+
+Options:
+  --store <store>             a http(s) URL or a directory path; defaults to
+                              the current working directory
+  --config <path>             a configuration file; defaults to
+                              olojs.config.json if present
+`;
+
+
+
+/**
+ *  cli.run - async function
+ *  ----------------------------------------------------------------------------
+ *  Executes the command defined by the given list of command-line arguments
+ *  and returns the exit code.
+ *
+ *  ```js
+ *  exitCode = await cli.run(["render", "/path/to/doc?x=10"], io);
+ *  ```
+ *
+ *  - `io.stdin`, `io.stdout` and `io.stderr` are the streams used by the
+ *    commands; they default to `process.stdin`, `process.stdout` and
+ *    `process.stderr`
+ *  - `io.cwd` is the directory the default `FileStore` and the relative
+ *    store paths refer to; it defaults to `process.cwd()`
+ */
+exports.run = async function (argv, io={}) {
+    const stdin = io.stdin || process.stdin;
+    const stdout = io.stdout || process.stdout;
+    const stderr = io.stderr || process.stderr;
+    const cwd = io.cwd || process.cwd();
+
+    try {
+        const {args, options} = parseArguments(argv);
+        const [command, ...params] = args;
+        const config = loadConfig(options, cwd);
+        const store = config.store;
+
+        switch (command) {
+
+            case 'render':
+                const {text} = await store.load(requireParam(params, 0, 'docId'));
+                stdout.write(text);
+                return 0;
+
+            case 'read':
+                stdout.write(await store.read(requireParam(params, 0, 'path')));
+                return 0;
+
+            case 'write':
+                const path = requireParam(params, 0, 'path');
+                const source = params.length > 1 ? params[1] : await readStream(stdin);
+                await store.write(path, source);
+                return 0;
+
+            case 'list':
+                const entries = await store.list(requireParam(params, 0, 'path'));
+                for (let entry of entries) stdout.write(`${entry}\n`);
+                return 0;
+
+            case 'delete':
+                const targetPath = requireParam(params, 0, 'path');
+                if (targetPath.slice(-1) === '/') {
+                    await store.deleteAll(targetPath);
+                } else {
+                    await store.delete(targetPath);
+                }
+                return 0;
+
+            case 'serve':
+                const server = HTTPServer.ConfigServer(config);
+                const port = Number(options.port || server.port);
+                if (!Number.isInteger(port) || port < 0 || port > 65535) {
+                    throw new Error(`Invalid port: ${options.port || server.port}`);
+                }
+                await new Promise((resolve, reject) => {
+                    server.once('error', reject);
+                    server.listen(port, () => {
+                        server.removeListener('error', reject);
+                        resolve();
+                    });
+                });
+                stdout.write(`olojs server listening on port ${port}\n`);
+                return 0;
+
+            case 'export':
+                const outputPath = pathlib.resolve(cwd, requireParam(params, 0, 'outputPath'));
+                const files = await StaticSite.export(store, outputPath, {path: params[1]});
+                for (let file of files) stdout.write(`${file}\n`);
+                return 0;
+
+            case 'help':
+            case undefined:
+                stdout.write(USAGE);
+                return 0;
+
+            default:
+                throw new Error(`Unknown command: ${command}`);
+        }
+
+    } catch (error) {
+        stderr.write(`${error.message}\n`);
+        return 1;
+    }
+}
+
+
+
+// Splits the command-line arguments in positional arguments and `--name value`
+// (or `--name=value`) options.
+function parseArguments (argv) {
+    const args = [], options = {};
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg.slice(0, 2) === '--') {
+            const separatorIndex = arg.indexOf('=');
+            if (separatorIndex !== -1) {
+                options[ arg.slice(2, separatorIndex) ] = arg.slice(separatorIndex+1);
+            } else if (i+1 < argv.length) {
+                options[ arg.slice(2) ] = argv[++i];
+            } else {
+                throw new Error(`Missing value of option ${arg}`);
+            }
+        } else {
+            args.push(arg);
+        }
+    }
+    return {args, options};
+}
+
+
+// Returns the {store, server} configuration defined by the `--store` and
+// `--config` options
+function loadConfig (options, cwd) {
+    if (options.store) {
+        return {
+            store: Config.createStore(options.store, cwd),
+            server: {port: 8010}
+        };
+    }
+    const configPath = pathlib.resolve(cwd, options.config || Config.FILE_NAME);
+    if (options.config || fs.existsSync(configPath)) {
+        return Config.load(configPath);
+    }
+    return {
+        store: Config.createStore(cwd),
+        server: {port: 8010}
+    };
+}
+
+
+// Returns the i-th command parameter or throws an error if missing
+function requireParam (params, i, name) {
+    if (params[i] === undefined) throw new Error(`Missing argument: ${name}`);
+    return params[i];
+}
+
+
+// Returns the whole content of a readable stream as string
+function readStream (stream) {
+    return new Promise((resolve, reject) => {
+        let text = "";
+        stream.setEncoding('utf8');
+        stream.on('data', chunk => text += chunk);
+        stream.on('end', () => resolve(text));
+        stream.on('error', reject);
+    });
+}
@@ -0,0 +1,203 @@
+/**
+ *  Config module
+ *  ============================================================================
+ *  This NodeJS module creates stores and server options out of a declarative
+ *  JSON configuration, typically stored in a `olojs.config.json` file.
+ *
+ *  ```json
+ *  {
+ *      "store": {
+ *          "type": "Router",
+ *          "routes": {
+ *              "/": {"type": "FileStore", "path": "./docs"},
+ *              "/templates/": {
+ *                  "type": "AccessControlledStore",
+ *                  "rules": {"/": "r"},
+ *                  "store": {"type": "FileStore", "path": "./templates", "extension": ".tpl"}
+ *              },
+ *              "/remote/": {
+ *                  "type": "CachedStore",
+ *                  "ttl": 60000,
+ *                  "store": {"type": "HTTPStore", "url": "https://example.com/docs"}
+ *              },
+ *              "/tmp/": {"type": "MemoryStore", "documents": {"/hello": "Hello!"}}
+ *          }
+ *      },
+ *      "server": {
+ *          "port": 8010,
+ *          "viewer": true,
+ *          "auth": "./auth.js",
+ *          "acl": {"/": {"read": "*", "write": ["alice"]}}
+ *      }
+ *  }
+ *  ```
+ */
+
+const pathlib = require('path');
+const fs = require('fs');
+const MemoryStore = require('./memory-store');
+const FileStore = require('./file-store');
+const HTTPStore = require('./http-store');
+const Router = require('./router');
+const Protocols = require('./protocols');
+const CachedStore = require('./cached-store');
+const AccessControlledStore = require('./access-controlled-store');
+
+
+
+/**
+ *  Config.FILE_NAME - constant
+ *  ----------------------------------------------------------------------------
+ *  The default name of the configuration file: `olojs.config.json`.
+ */
+exports.FILE_NAME = "olojs.config.json";
+
+
+
+/**
+ *  Config.load - function
+ *  ----------------------------------------------------------------------------
+ *  Reads a JSON configuration file and returns the store and the server
+ *  options it describes.
+ *
+ *  ```js
+ *  {store, server} = Config.load("/path/to/olojs.config.json");
+ *  ```
+ *
+ *  - `store` is the store created out of the `store` property of the
+ *    configuration (see `Config.createStore`); the relative paths are
+ *    resolved with respect to the directory containing the configuration
+ *    file; it defaults to a `FileStore` rooted in that directory
+ *  - `server` is the `server` property of the configuration; it can contain
+ *    the `port` number, a `viewer` flag telling if the document viewer should
+ *    be served and the `auth` and `acl` options of the
+ *    [StoreMiddleware](./http-server.md)
+ *  - `server.auth` is given in the configuration as the path of a NodeJS
+ *    module exporting the `auth` function, e.g.
+ *    `module.exports = async credentials => credentials.token === "secret" ? "alice" : null`;
+ *    the module is loaded and `server.auth` is the exported function
+ *
+ *  Since without `server.auth` all the requests are anonymous, an `acl`
+ *  granting permissions to a list of users (e.g. `{"write": ["alice"]}`)
+ *  requires the `auth` option, otherwise an error is thrown.
+ */
+exports.load = function (configPath) {
+    const fullPath = pathlib.resolve(configPath);
+    const config = JSON.parse(fs.readFileSync(fullPath, 'utf8'));
+    const basePath = pathlib.dirname(fullPath);
+    const server = Object.assign({port: 8010, viewer: true}, config.server);
+    if (server.auth !== undefined) {
+        server.auth = loadAuth(server.auth, basePath);
+    } else if (server.acl && hasUserRules(server.acl)) {
+        throw new Error("The server.acl grants permissions to specific users, but no server.auth module is defined");
+    }
+    return {
+        store: exports.createStore(config.store || ".", basePath),
+        server: server
+    };
+}
+
+
+
+/**
+ *  Config.createStore - function
+ *  ----------------------------------------------------------------------------
+ *  Creates a store out of its JSON description.
+ *
+ *  ```js
+ *  store = Config.createStore(storeSpec, basePath);
+ *  ```
+ *
+ *  A `storeSpec` can be either a `http://` or `https://` URL string, which
+ *  creates an `HTTPStore`, any other string, which creates a `FileStore`
+ *  rooted at the given path, or an object with a `type` property and the
+ *  type-specific options:
+ *
+ *  - `{type: "MemoryStore", documents}`
+ *  - `{type: "FileStore", path, extension, historyPath, delimiters}`
+ *  - `{type: "HTTPStore", url, headers, delimiters, cacheSize}`
+ *  - `{type: "Router", routes}`, where `routes` maps paths to store specs
+ *  - `{type: "Protocols", protocols}`, where `protocols` maps URI schemes to
+ *    store specs
+ *  - `{type: "CachedStore", store, ttl, maxSize}`, where `store` is a store spec
+ *  - `{type: "AccessControlledStore", store, rules}`, where `store` is a
+ *    store spec
+ *
+ *  The relative file-system paths are resolved with respect to `basePath`,
+ *  which defaults to the current working directory.
+ */
+exports.createStore = function (spec, basePath=process.cwd()) {
+    const resolve = path => pathlib.resolve(basePath, path);
+    const mapStores = specs => {
+        const stores = {};
+        for (let key in specs) stores[key] = exports.createStore(specs[key], basePath);
+        return stores;
+    }
+
+    if (typeof spec === 'string') {
+        return /^https?:\/\//i.test(spec) ? new HTTPStore(spec) : new FileStore(resolve(spec));
+    }
+
+    if (!spec || typeof spec !== 'object') {
+        throw new Error(`Invalid store configuration: ${JSON.stringify(spec)}`);
+    }
+
+    switch (spec.type) {
+
+        case 'MemoryStore':
+            return new MemoryStore(spec.documents);
+
+        case 'FileStore':
+            return new FileStore(resolve(spec.path || "."), {
+                extension: spec.extension,
+                historyPath: spec.historyPath && resolve(spec.historyPath),
+                delimiters: spec.delimiters
+            });
+
+        case 'HTTPStore':
+            return new HTTPStore(spec.url, {headers: spec.headers, delimiters: spec.delimiters,
+                    cacheSize: spec.cacheSize});
+
+        case 'Router':
+            return new Router(mapStores(spec.routes));
+
+        case 'Protocols':
+            return new Protocols(mapStores(spec.protocols));
+
+        case 'CachedStore':
+            return new CachedStore(exports.createStore(spec.store, basePath), {
+                ttl: spec.ttl,
+                maxSize: spec.maxSize
+            });
+
+        case 'AccessControlledStore':
+            return new AccessControlledStore(exports.createStore(spec.store, basePath), spec.rules);
+
+        default:
+            throw new Error(`Unknown store type: ${spec.type}`);
+    }
+}
+
+
+
+// Loads the module exporting the server `auth` function
+function loadAuth (modulePath, basePath) {
+    const auth = typeof modulePath === 'string' ?
+            require(pathlib.resolve(basePath, modulePath)) : undefined;
+    if (typeof auth !== 'function') {
+        throw new Error(`Invalid server.auth module: ${JSON.stringify(modulePath)}`);
+    }
+    return auth;
+}
+
+
+// Returns true if any rule of the access control list grants a permission to
+// a list of users
+function hasUserRules (acl) {
+    for (let rule of Object.values(acl)) {
+        for (let userRule of Object.values(rule || {})) {
+            if (Array.isArray(userRule) && userRule.length > 0) return true;
+        }
+    }
+    return false;
+}
@@ -14,6 +14,186 @@
  */
 
 const swan = require('./expression');
+const yaml = require('js-yaml');
+const hash = require('./hash');
+
+
+
+/**
+ *  olojs.document.parseAST - function
+ *  ----------------------------------------------------------------------------
+ *  Parses a document source into a syntax tree made of text chunks and
+ *  inline expressions.
+ *
+ *  ```js
+ *  ast = olojs.document.parseAST("Twice x is <% 2*x %>!");
+ *  // {
+ *  //   type: "document",
+ *  //   children: [
+ *  //     {type: "text", value: "Twice x is ", start: {...}, end: {...}},
+ *  //     {type: "expression", source: " 2*x ", start: {...}, end: {...}},
+ *  //     {type: "text", value: "!", start: {...}, end: {...}}
+ *  //   ]
+ *  // }
+ *  ```
+ *
+ *  - Each `text` node has a `value` property containing the text chunk
+ *  - Each `expression` node has a `source` property containing the swan
+ *    expression enclosed between `<%` and `%>`
+ *  - The `start` and `end` properties of each node are `{offset, line, column}`
+ *    objects, where `offset` is the 0-based index of the character in the
+ *    document source, while `line` and `column` are 1-based; `start` is the
+ *    position of the first character of the node (including the `<%`
+ *    delimiter for expressions) and `end` is the position right after its
+ *    last character
+ *
+ *  The inline expressions are not compiled, therefore a syntax error in an
+ *  expression doesn't prevent the document from being parsed.
+ *
+ *  The `<%%` and `%%>` sequences are escapes for literal `<%` and `%>`: in the
+ *  text they don't open or close an expression and their `value` contains
+ *  the unescaped delimiter; inside an expression `%%>` doesn't close the
+ *  expression and both the escapes are unescaped in its `source`. For example,
+ *  `<%% 1+2 %%>` renders to `<% 1+2 %>` and `<% "<%%x%%>" %>` to `<%x%>`.
+ *  The `start` and `end` positions always refer to the escaped source.
+ *
+ *  The expression delimiters can be changed by passing an
+ *  `options.delimiters` array of two strings, which defaults to
+ *  `document.DEFAULT_DELIMITERS`, i.e. `["<%", "%>"]`. For example, with
+ *  `{delimiters: ["{{", "}}"]}` the expressions are enclosed between `{{`
+ *  and `}}`. The escape of the opening delimiter is obtained by repeating its
+ *  last character (e.g. `{{{`) and the escape of the closing delimiter is
+ *  obtained by repeating its first character (e.g. `}}}`), but a
+ *  single-character delimiter (e.g. the `}` of `["${", "}"]`) has no escape,
+ *  since its repetition is common in both text and expressions. The escapes
+ *  can also be defined explicitly as third and fourth item of the array,
+ *  where `null` means no escape; for example, with
+ *  `{delimiters: ["${", "}", "$${", "\\}"]}` the text `$${x\}` renders
+ *  to `${x}` and `${ {a:1\}.a }` renders to `1`.
+ *
+ *  If the document source starts with a front matter block (see
+ *  `document.parseMeta`), the first child of the tree is a `meta` node whose
+ *  `source` property contains the unparsed content of the block; the
+ *  `start` and `end` positions of the `meta` node include the `---` fences.
+ *
+ *  A block of text enclosed between a `<def:name param1 param2 ...>` tag and
+ *  a `</def:name>` tag is a named fragment and it is represented by a
+ *  `fragment` node with the following properties:
+ *
+ *  - `name`: the name of the fragment
+ *  - `params`: the list of the parameter names
+ *  - `children`: the text, expression and fragment nodes contained in the
+ *    block
+ *  - `start` and `end`: the positions of the block, including the tags
+ *
+ *  A closing tag that doesn't match the innermost open fragment is
+ *  considered plain text, while a fragment that is never closed extends
+ *  to the end of the document.
+ */
+const parseAST = exports.parseAST = function (source, options={}) {
+    source = String(source);
+    const {expressionRE, unescape} = getDelimitersSyntax(options.delimiters);
+    const getPosition = createPositionResolver(source);
+    const root = {type: "document", children: []};
+    const fragments = [];   // stack of the open fragment nodes
+    let children = root.children;
+
+    const frontMatter = matchFrontMatter(source);
+    if (frontMatter) {
+        children.push({
+            type: "meta",
+            source: frontMatter.source,
+            start: getPosition(0),
+            end: getPosition(frontMatter.length)
+        });
+        expressionRE.lastIndex = frontMatter.length;
+    }
+
+    const pushText = (startOffset, endOffset) => {
+        if (endOffset <= startOffset) return;
+        children.push({
+            type: "text",
+            value: unescape(source.slice(startOffset, endOffset)),
+            start: getPosition(startOffset),
+            end: getPosition(endOffset)
+        });
+    }
+
+    let lastOffset = expressionRE.lastIndex, match;
+    while ((match = expressionRE.exec(source)) !== null) {
+        const [token, expression, fragmentName, fragmentParams, closingName] = match;
+        const fragment = fragments[fragments.length-1];
+
+        if (expression !== undefined) {
+            pushText(lastOffset, match.index);
+            lastOffset = match.index + token.length;
+            children.push({
+                type: "expression",
+                source: unescape(expression),
+                start: getPosition(match.index),
+                end: getPosition(lastOffset)
+            });
+        }
+
+        else if (fragmentName !== undefined) {
+            pushText(lastOffset, match.index);
+            lastOffset = match.index + token.length;
+            const node = {
+                type: "fragment",
+                name: fragmentName,
+                params: fragmentParams.split(/\s+/).filter(param => param !== ""),
+                children: [],
+                start: getPosition(match.index),
+            };
+            children.push(node);
+            fragments.push(node);
+            children = node.children;
+        }
+
+        else if (closingName !== undefined && fragment && fragment.name === closingName) {
+            pushText(lastOffset, match.index);
+            lastOffset = match.index + token.length;
+            fragment.end = getPosition(lastOffset);
+            fragments.pop();
+            children = fragments.length > 0 ? fragments[fragments.length-1].children : root.children;
+        }
+
+        // else it is an escaped delimiter or an unmatched closing tag,
+        // which are part of the text
+    }
+    pushText(lastOffset, source.length);
+
+    // Close the unclosed fragments at the end of the document
+    for (let fragment of fragments) fragment.end = getPosition(source.length);
+
+    return root;
+}
+
+
+
+/**
+ *  olojs.document.parseMeta - function
+ *  ----------------------------------------------------------------------------
+ *  Returns the metadata object defined in the front matter block of a
+ *  document source, without evaluating the document.
+ *
+ *  ```js
+ *  source = "---\ntitle: Hello\ntags: [a, b]\n---\nHello <% name %>!";
+ *  meta = olojs.document.parseMeta(source);   // {title: "Hello", tags: ["a", "b"]}
+ *  ```
+ *
+ *  The front matter is a block of YAML (or JSON, which is valid YAML)
+ *  enclosed between two `---` lines, at the very top of the document. Its
+ *  content must define a mapping; timestamps are not converted to dates and
+ *  stay strings. If the source has no front matter, an empty object is
+ *  returned. A leading block enclosed between `---` lines that is not a
+ *  valid YAML mapping (e.g. Markdown text between two horizontal rules) is
+ *  not considered a front matter and it is part of the document text.
+ */
+const parseMeta = exports.parseMeta = function (source) {
+    const frontMatter = matchFrontMatter(String(source));
+    return frontMatter ? parseFrontMatter(frontMatter.source) : {};
+}
 
 
 
@@ -37,52 +217,136 @@ const swan = require('./expression');
  *  The document namespace stringifies to a text obtained by replacing every
  *  inline expression with its value, therefore in javascript
  *  `await context.str(namespace)` will return the rendered document.
+ *
+ *  The inline expressions that fail to evaluate (syntax errors, exceptions
+ *  thrown by javascript functions, etc.) render as swan failure values and
+ *  are listed in the `namespace.__errors__` array, together with the inline
+ *  expressions assigning a failure value to a name (e.g. `<% x = f() %>`). Each item of the list is
+ *  an object with the following properties:
+ *
+ *  - `index`: the 0-based index of the failed expression among the inline
+ *    expressions of the document
+ *  - `line` and `column`: the 1-based position of the `<%` delimiter of the
+ *    failed expression in the document source
+ *  - `source`: the source of the failed swan expression
+ *  - `message`: the error message
+ *  - `error`: the original error
+ *
+ *  If `options.strict` is true, the `evaluate` function throws a
+ *  `DocumentEvaluationError` at the first failure, instead of rendering the
+ *  failure value.
+ *
+ *  The `options.delimiters` array of two strings defines the delimiters of the
+ *  inline expressions (see `document.parseAST`). For example,
+ *  `document.parse("Twice x is {{ 2*x }}!", {delimiters: ["{{", "}}"]})`.
+ *
+ *  The metadata defined in the document front matter (see
+ *  `document.parseMeta`) are exposed to the inline expressions and added to
+ *  the namespace as `__meta__` object, while the front matter block itself
+ *  is not rendered. For example, `"---\ntitle: Hi\n---\n<% __meta__.title %>!"`
+ *  renders to `"Hi!"`. A document without front matter has an empty
+ *  `__meta__` object.
+ *
+ *  By default the inline expressions are evaluated one after the other. If
+ *  `options.parallel` is true, the consecutive expressions that don't depend
+ *  on each other are evaluated concurrently; for example, the three imports
+ *  of `<% a = import "./a" %><% b = import "./b" %><% import "./c" %>`
+ *  will run in parallel. Two expressions are considered dependent if one of
+ *  them reads a name assigned by the other (directly or via functions
+ *  defined in the document) or if they assign the same name; the
+ *  expressions referring to `__str__` are always evaluated after all the
+ *  preceding ones and before all the following ones. The rendered text and
+ *  the namespace are the same as in sequential mode, as long as the
+ *  javascript functions of the context do not depend on the evaluation order.
+ *
+ *  The named fragments (see `document.parseAST`) are not rendered where they
+ *  are defined: instead, each fragment defines a function with the same name
+ *  that takes the fragment parameters as arguments and returns the namespace
+ *  of the fragment content, evaluated in a child of the document context.
+ *  For example, the following document renders to `Hello <b>World</b>!`.
+ *
+ *  ```
+ *  <def:bold text><b><% text %></b></def:bold>Hello <% bold "World" %>!
+ *  ```
  */
-const parseDocument = exports.parse = function (source) {
-    source = String(source);
+const parseDocument = exports.parse = function (source, options={}) {
+    const nodes = parseAST(source, options).children;
+    const meta = nodes.length > 0 && nodes[0].type === "meta" ?
+            parseFrontMatter(nodes.shift().source) : {};
+    const evaluate = compileNodes(nodes, options, {expressionCount: 0}, true);
+    return context => evaluate(context, {__meta__: cloneData(meta)});
+}
+
+
 
-    // // Parse fragments
-    // source = source.replace(/<\s*def:([a-z_A-Z]+[a-z_A-Z0-9]*)\s+(.*)>(.*)<\s*\/def:\1\s*>/g, (match, identifier, attributes, content) => {
-    //     return "";
-    // });    
-
-    // Find all the swan expressions in the source, store them in an array and
-    // replace them with a placeholder.
-    const parsedExpressions = [];
-    source = source.replace(/<%([\s\S]+?)%>/g, (match, expressionSource) => {
-        let i = parsedExpressions.length;
-        let parsedExpression = swan.parse(expressionSource);
-        parsedExpression.source = expressionSource;
-        parsedExpressions.push( parsedExpression );
-        return `<%%>`;
+// Compiles a list of AST nodes into an `evaluate` function that takes a
+// context and a namespace of names to be added to it and returns the
+// namespace. The `counter` object keeps track of the index of the expressions
+// across fragments. The `__render__` function gets applied only if
+// `isDocument` is true.
+function compileNodes (nodes, options, counter, isDocument) {
+
+    // Compile each swan expression and fragment.
+    nodes = nodes.map(node => {
+        if (node.type === "expression") {
+            let parsedExpression = swan.parse(node.source);
+            parsedExpression.source = node.source;
+            parsedExpression.index = counter.expressionCount++;
+            parsedExpression.start = node.start;
+            return parsedExpression;
+        }
+        if (node.type === "fragment") {
+            return compileFragment(node, options, counter);
+        }
+        return node.value;
     });
-    const textChunks = source.split('<%%>');
-    const $text = Symbol("Rendered document");
+
+    // Group the nodes in batches of expressions that can be evaluated
+    // concurrently; in sequential mode each batch contains one expression.
+    const batches = options.parallel ? groupIndependentNodes(nodes) : groupNodes(nodes);
 
     // The returned `evaluate` function
-    return async (context) => {
+    return async (context, names={}) => {
         // Create a copy ot the context
-        context = Object.assign(Object.create(Object.getPrototypeOf(context)), context);
+        context = Object.assign(Object.create(Object.getPrototypeOf(context)), context, names);
         
         // Evaluate each expression in the given context and replace the
         // expression source with the stringified expression value
-        context.__str__ = textChunks[0] || "";
-        for (let i=0; i<parsedExpressions.length; i++) {
-            let evaluateExpression = parsedExpressions[i];
-            try {
-                var value = await evaluateExpression(context);
-            } catch (error) {
-                // in case of error returns an Undefined failure value
-                var value = await context.undefined('failure', error);
+        context.__str__ = "";
+        context.__errors__ = [];
+        for (let batch of batches) {
+            const results = await Promise.all(batch.map(node => {
+                return typeof node === 'string' ? node : evaluateExpression(node, context);
+            }));
+            for (let i = 0; i < batch.length; i++) {
+                const node = batch[i];
+                if (typeof node === 'string') {
+                    context.__str__ += node;
+                    continue;
+                }
+                const {value, error} = results[i];
+                if (error !== null) {
+                    const failure = {
+                        index: node.index,
+                        line: node.start.line,
+                        column: node.start.column,
+                        source: node.source,
+                        message: error instanceof Error ? error.message : String(error),
+                        error: error
+                    };
+                    if (options.strict) throw new DocumentEvaluationError(failure);
+                    context.__errors__.push(failure);
+                }
+                context.__str__ += await context.str(value);
             }
-            context.__str__ += await context.str(value) + textChunks[i+1];
         }
         
-        // Decorate the rendered text with the `__render__` function, if present
-        if (typeof context.__render__ === 'function') {
+        // Decorate the rendered text with the `__render__` function, if present;
+        // the fragments get decorated as part of the document rendering them
+        if (isDocument && typeof context.__render__ === 'function') {
             const __str__ = await context.__render__(context.__str__);
             context.__str__ = await context.str(__str__);
-        } else if (context.__render__ && typeof context.__render__.__apply__ === 'function') {
+        } else if (isDocument && context.__render__ && typeof context.__render__.__apply__ === 'function') {
             const __str__ = await context.__render__.__apply__(context.__str__);
             context.__str__ = await context.str(__str__);            
         }
@@ -94,6 +358,25 @@ const parseDocument = exports.parse = function (source) {
 }
 
 
+// Compiles a fragment node into a function that, once evaluated as an
+// expression, maps the fragment name to a function that takes the fragment
+// parameters as arguments and returns the namespace of the fragment content.
+// The fragment content is evaluated in a child of the context in which the
+// fragment is defined.
+function compileFragment (node, options, counter) {
+    const evaluate = compileNodes(node.children, options, counter, false);
+    const define = async context => {
+        context[node.name] = (...args) => {
+            const params = {};
+            node.params.forEach((param, i) => params[param] = args[i]);
+            return evaluate(context.$extend(params));
+        };
+    };
+    define.fragment = node;
+    return define;
+}
+
+
 
 
 /**
@@ -115,3 +398,387 @@ exports.createContext = function (...namespaces) {
 }
 
 const documentGlobals = {};
+
+
+
+/**
+ *  olojs.document.DEFAULT_DELIMITERS - constant
+ *  ----------------------------------------------------------------------------
+ *  The default opening and closing delimiters of the inline expressions:
+ *  `["<%", "%>"]`.
+ */
+const DEFAULT_DELIMITERS = exports.DEFAULT_DELIMITERS = Object.freeze(["<%", "%>"]);
+
+
+
+/**
+ *  olojs.document.DocumentEvaluationError - class
+ *  ----------------------------------------------------------------------------
+ *  Error thrown by the `evaluate` function returned by `document.parse` in
+ *  strict mode, when an inline expression fails.
+ *
+ *  ```js
+ *  evaluate = olojs.document.parse("x = <% 1 + %>", {strict: true});
+ *  try {
+ *      await evaluate(context);
+ *  } catch (error) {
+ *      error instanceof olojs.document.DocumentEvaluationError    // true
+ *      error.index     // 0
+ *      error.line      // 1
+ *      error.column    // 5
+ *      error.source    // " 1 + "
+ *      error.message   // "Failed to evaluate expression #0 at line 1, column 5: ..."
+ *  }
+ *  ```
+ *
+ *  The error has the same properties as the items of `namespace.__errors__`,
+ *  with `error.cause` containing the original error.
+ */
+class DocumentEvaluationError extends Error {
+
+    constructor (failure) {
+        super(`Failed to evaluate expression #${failure.index} at line ${failure.line}, column ${failure.column}: ${failure.message}`);
+        this.index = failure.index;
+        this.line = failure.line;
+        this.column = failure.column;
+        this.source = failure.source;
+        this.cause = failure.error;
+    }
+}
+
+exports.DocumentEvaluationError = DocumentEvaluationError;
+
+
+
+/**
+ *  olojs.document.CompileCache - class
+ *  ----------------------------------------------------------------------------
+ *  A size-bounded cache of the `evaluate` functions returned by
+ *  `document.parse`, keyed by the hash of the document source and by the
+ *  parse options.
+ *
+ *  ```js
+ *  cache = new olojs.document.CompileCache(maxSize);
+ *  evaluate = cache.parse(source, options);
+ *  ```
+ *
+ *  - `maxSize` is the maximum number of compiled documents kept in the cache;
+ *    it defaults to `500` and when exceeded the least recently used entries
+ *    are discarded
+ *  - `cache.parse(source, options)` returns the same function as
+ *    `document.parse(source, options)`, but it compiles the source only if
+ *    the same source has not been compiled with the same options before
+ *  - `cache.size` is the number of compiled documents in the cache
+ *  - `cache.clear()` removes all the entries from the cache
+ *
+ *  The `evaluate` functions don't hold any state between calls, therefore
+ *  the same compiled document can be safely shared. The stores use the
+ *  shared `document.compileCache` instance to compile the documents loaded
+ *  via `store.load` and `context.import`.
+ */
+class CompileCache {
+
+    constructor (maxSize=500) {
+        this.maxSize = maxSize;
+        this._entries = new Map();
+    }
+
+    get size () {
+        return this._entries.size;
+    }
+
+    parse (source, options={}) {
+        source = String(source);
+        const key = `${hash(source)}:${source.length}:${JSON.stringify([
+            options.delimiters || DEFAULT_DELIMITERS,
+            Boolean(options.strict),
+            Boolean(options.parallel)
+        ])}`;
+
+        const entry = this._entries.get(key);
+        this._entries.delete(key);
+        if (entry && entry.source === source) {
+            // Re-insert the entry to mark it as most recently used
+            this._entries.set(key, entry);
+            return entry.evaluate;
+        }
+
+        const evaluate = parseDocument(source, options);
+        this._entries.set(key, {source, evaluate});
+        while (this._entries.size > this.maxSize) {
+            this._entries.delete(this._entries.keys().next().value);
+        }
+        return evaluate;
+    }
+
+    clear () {
+        this._entries.clear();
+    }
+}
+
+exports.CompileCache = CompileCache;
+
+
+
+/**
+ *  olojs.document.compileCache - object
+ *  ----------------------------------------------------------------------------
+ *  The `CompileCache` instance shared by all the stores. Its size can be
+ *  changed by setting `olojs.document.compileCache.maxSize`.
+ */
+exports.compileCache = new CompileCache();
+
+
+
+// Evaluates a compiled expression and returns its `value` together with the
+// `error` wrapped by the first failure found either in the value or in the
+// values assigned by the expression, or null if there is no failure. In case
+// of exception, the value is an Undefined failure value.
+// The expression is evaluated in a child of the given context, so that the
+// names it assigns can be checked for failures before being moved to the
+// context.
+async function evaluateExpression (expression, context) {
+    const expressionContext = Object.create(context);
+    let value;
+    try {
+        value = await expression(expressionContext);
+    } catch (error) {
+        value = await context.undefined('failure', error);
+    }
+    let error = findFailure(value);
+    for (let name of Object.keys(expressionContext)) {
+        if (error === null) error = findFailure(expressionContext[name]);
+        context[name] = expressionContext[name];
+        delete expressionContext[name];
+    }
+    return {value, error};
+}
+
+
+// Splits the list of document nodes in batches containing one expression
+// each, followed by the text nodes. Since the text nodes are rendered after
+// evaluating the expressions of their batch, each expression gets evaluated
+// after all the preceding text got rendered.
+function groupNodes (nodes) {
+    const batches = [[]];
+    for (let node of nodes) {
+        if (typeof node === 'string') {
+            batches[batches.length-1].push(node);
+        } else {
+            batches.push([node]);
+        }
+    }
+    return batches;
+}
+
+
+// Splits the list of document nodes in batches of consecutive expressions
+// that don't depend on each other, interleaved with the text nodes.
+function groupIndependentNodes (nodes) {
+    const valueRefs = new Map();    // name => names read by the assigned value
+    const batches = [];
+    let batch = [], batchRefs = new Set(), batchAssigns = new Set(), isolated = false;
+
+    for (let node of nodes) {
+        if (typeof node === 'string') {
+            batch.push(node);
+            continue;
+        }
+
+        const names = node.fragment ? analyzeFragment(node.fragment) : analyzeExpression(node.source);
+        const refs = new Set();
+        if (names) for (let name of names.refs) {
+            refs.add(name);
+            for (let valueRef of valueRefs.get(name) || []) refs.add(valueRef);
+        }
+        const assigns = names ? names.assigns : new Set();
+
+        const dependent = isolated || !names || refs.has('__str__') ||
+                intersects(refs, batchAssigns) ||
+                intersects(assigns, batchRefs) ||
+                intersects(assigns, batchAssigns);
+        if (dependent) {
+            batches.push(batch);
+            batch = [];
+            batchRefs = new Set();
+            batchAssigns = new Set();
+        }
+
+        batch.push(node);
+        for (let name of refs) batchRefs.add(name);
+        for (let name of assigns) {
+            batchAssigns.add(name);
+            valueRefs.set(name, new Set([...(valueRefs.get(name) || []), ...refs]));
+        }
+        isolated = !names || refs.has('__str__');
+    }
+
+    batches.push(batch);
+    return batches;
+}
+
+
+// Returns the sets of names read and assigned by a swan expression, or null
+// if the expression cannot be analyzed. Both the sets may contain more names
+// than the actual ones (e.g. the attribute names of `ns.name` are considered
+// read names and all the names preceding the last `=` are considered
+// assigned), which only limits the parallelism.
+function analyzeExpression (source) {
+    const tokenRE = /#[^\n]*|"[^"]*"|'[^']*'|`([^`]*)`|([a-z_A-Z][a-z_A-Z0-9]*)|[0-9][0-9.eE]*|[=!<>]=|=>|(=)|[\s\S]/g;
+    const names = [];
+    let assignedCount = 0, match;
+    while ((match = tokenRE.exec(source)) !== null) {
+        const [token, template, name, assignment] = match;
+        if (template !== undefined) {
+            if (template.indexOf('=') !== -1) return null;
+            names.push(...(template.match(/[a-z_A-Z][a-z_A-Z0-9]*/g) || []));
+        } else if (name !== undefined) {
+            names.push(name);
+        } else if (assignment !== undefined) {
+            assignedCount = names.length;
+        }
+    }
+    return {
+        refs: new Set(names),
+        assigns: new Set(names.slice(0, assignedCount))
+    };
+}
+
+
+// Returns the sets of names read and assigned by the definition of a
+// fragment, or null if the fragment cannot be analyzed. The definition
+// assigns only the fragment name, but the fragment function reads all the
+// names read by the fragment expressions.
+function analyzeFragment (fragment) {
+    const refs = new Set();
+    for (let node of fragment.children) {
+        if (node.type !== "expression" && node.type !== "fragment") continue;
+        const names = node.type === "fragment" ? analyzeFragment(node) : analyzeExpression(node.source);
+        if (!names) return null;
+        for (let name of names.refs) refs.add(name);
+    }
+    return {refs, assigns: new Set([fragment.name])};
+}
+
+
+// Returns true if the two sets have at least one common item
+function intersects (set1, set2) {
+    for (let item of set1) {
+        if (set2.has(item)) return true;
+    }
+    return false;
+}
+
+
+// Returns the error wrapped by the first swan failure value found in the given
+// value, or null if the value doesn't contain any failure. Failures nested in
+// other undefined values (e.g. `1 + failure`) are detected as well.
+function findFailure (value) {
+    for (let item of swan.Tuple(value)) {
+        if (!(item instanceof swan.Undefined)) continue;
+        const [type, ...args] = Array.from(item.args);
+        if (type === 'failure') return args[0];
+        for (let arg of args) {
+            const error = findFailure(arg);
+            if (error !== null) return error;
+        }
+    }
+    return null;
+}
+
+
+
+// Returns the `{source, length}` object describing the front matter block at
+// the top of the given source, or null if the source has no front matter.
+// A block enclosed between `---` lines that doesn't contain a YAML mapping
+// (e.g. the text between two Markdown horizontal rules) is not a front
+// matter.
+function matchFrontMatter (source) {
+    const match = source.match(/^---[ \t]*\r?\n((?:[\s\S]*?\r?\n)?)---[ \t]*(?:\r?\n|$)/);
+    if (!match || parseFrontMatter(match[1]) === null) return null;
+    return {source: match[1], length: match[0].length};
+}
+
+
+// Parses the YAML content of a front matter block into a metadata object;
+// returns null if the content is not a valid YAML mapping.
+function parseFrontMatter (source) {
+    try {
+        var meta = yaml.load(source, {schema: yaml.CORE_SCHEMA});
+    } catch (error) {
+        return null;
+    }
+    if (meta === null || meta === undefined) return {};
+    if (typeof meta !== 'object' || Array.isArray(meta)) return null;
+    return meta;
+}
+
+
+// Returns a deep copy of the plain data parsed from a front matter block, so
+// that each evaluation of a compiled document gets its own `__meta__` object.
+function cloneData (value) {
+    if (Array.isArray(value)) return value.map(cloneData);
+    if (value !== null && typeof value === 'object') {
+        const copy = {};
+        for (let key in value) copy[key] = cloneData(value[key]);
+        return copy;
+    }
+    return value;
+}
+
+
+// Returns the regular expression matching the escaped delimiters, the
+// inline expressions delimited by the given pair of strings and the fragment
+// opening and closing tags and a function
+// that replaces the escape sequences with the literal delimiters.
+// The `delimiters` array may contain the escapes of the opening and closing
+// delimiters as third and fourth item, where `null` means no escape. When
+// omitted, the escape of a delimiter is derived from it, unless the delimiter
+// is a single character, whose repetition (e.g. `}}`) is common in both text
+// and swan expressions.
+function getDelimitersSyntax (delimiters=DEFAULT_DELIMITERS) {
+    const isDelimiter = delimiter => typeof delimiter === 'string' && delimiter.length > 0;
+    if (!Array.isArray(delimiters) || delimiters.length < 2 || delimiters.length > 4 ||
+            !delimiters.slice(0, 2).every(isDelimiter) ||
+            !delimiters.slice(2).every(escape => escape === null || isDelimiter(escape))) {
+        throw new TypeError(`Invalid expression delimiters: ${JSON.stringify(delimiters)}`);
+    }
+    const [open, close] = delimiters;
+    const openEscape = delimiters.length > 2 ? delimiters[2] :
+            open.length > 1 ? open + open.slice(-1) : null;
+    const closeEscape = delimiters.length > 3 ? delimiters[3] :
+            close.length > 1 ? close[0] + close : null;
+    const escapes = [openEscape, closeEscape].filter(escape => escape !== null).map(escapeRegExp);
+    const [O, C] = [open, close].map(escapeRegExp);
+    const CE = closeEscape !== null ? escapeRegExp(closeEscape) : null;
+    const escapeRE = escapes.length > 0 ? new RegExp(escapes.join('|'), 'g') : null;
+    const name = "[a-z_A-Z][a-z_A-Z0-9]*";
+    const expression = CE !== null ? `${O}((?:${CE}|[\\s\\S])+?)(?!${CE})${C}` : `${O}([\\s\\S]+?)${C}`;
+    return {
+        expressionRE: new RegExp(escapes.concat(expression).join('|') + '|' +
+                `<def:(${name})((?:\\s+${name})*)\\s*>|<\\/def:(${name})\\s*>`, 'g'),
+        unescape: text => escapeRE === null ? text :
+                text.replace(escapeRE, escape => escape === openEscape ? open : close)
+    };
+}
+
+
+// Escapes the characters that have a special meaning in regular expressions
+function escapeRegExp (string) {
+    return string.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+
+// Returns a function that maps a character offset of the given source to a
+// {offset, line, column} position object.
+function createPositionResolver (source) {
+    const lineOffsets = [0];
+    for (let i = 0; i < source.length; i++) {
+        if (source[i] === '\n') lineOffsets.push(i+1);
+    }
+    return offset => {
+        let line = lineOffsets.length - 1;
+        while (lineOffsets[line] > offset) line--;
+        return {offset, line: line+1, column: offset - lineOffsets[line] + 1};
+    }
+}
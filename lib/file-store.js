@@ -20,6 +20,14 @@ const isObject = obj => obj && typeof obj === "object" && !Array.isArray(obj);
  *    the `read`, `list`, `write` and `delete` methods.
  *  - `options.extension`: define the extension of the document files (defaults
  *    to `.olo`)
+ *  - `options.historyPath`: directory where the versions of the modified
+ *    documents will be recorded; if omitted, no history will be kept
+ *  - `options.delimiters`: the pair of strings delimiting the inline
+ *    expressions of the documents, optionally followed by their escapes
+ *    (see [document.parseAST](./document.md); defaults to `["<%", "%>"]`);
+ *    for example,
+ *    a store of HTML snippets could use `{extension: ".html", delimiters:
+ *    ["{{", "}}"]}`
  *  - `fileStore` is a [olojs.Store](./store.md) object.
  */
 class FileStore extends Store {
@@ -33,6 +41,9 @@ class FileStore extends Store {
         this.extension = (typeof options.extension === "string") ?
                 normalizeExtension(options.extension) :
                 this.constructor.defaultExtension;
+        this.historyPath = (typeof options.historyPath === "string") ?
+                pathlib.normalize(`/${options.historyPath}`) : null;
+        if (Array.isArray(options.delimiters)) this.delimiters = options.delimiters;
     }
 
     resolvePath (path) {
@@ -123,23 +134,34 @@ class FileStore extends Store {
      *  - If path is `/path/to/dir/`, the content of `<rootPath>/path/to/dir/.olo`
      *    will be modified with the passed source
      *  - When the file that doesn't exist, it will be created
+     *  - If `options.ifMatch` is defined and it doesn't match the version of
+     *    the current source, it throws `FileStore.ConflictError`
+     *  - The writes to the same file are performed one at a time, therefore
+     *    of two concurrent writes with the same `options.ifMatch`, only the
+     *    first one succeeds
      *  
      *  The `.olo` default extension can be changed by passing a `options.extension`
      *  string to the store constructor.
      */
-    async write (path, source) {
+    async write (path, source, options={}) {
         const fullPath = this.resolvePath(path);
+        return await serialize(fullPath, async () => {
 
-        const parentPath = pathlib.join(fullPath, "..", '/');
-        if (!fs.existsSync(parentPath)) {
-            mkdirp.sync(parentPath);
-        }
+            if (options.ifMatch !== undefined) {
+                const currentSource = await this.read(path);
+                if (this.constructor.versionOf(currentSource) !== options.ifMatch) {
+                    throw new this.constructor.ConflictError(this.normalizePath(path));
+                }
+            }
 
-        return new Promise((resolve, reject) => {
-            fs.writeFile(fullPath, source, {encoding:'utf8'}, (err) => {
-                if (err) reject(err);
-                else resolve();
-            });
+            const parentPath = pathlib.join(fullPath, "..", '/');
+            if (!fs.existsSync(parentPath)) {
+                mkdirp.sync(parentPath);
+            }
+
+            await this._recordCurrentVersion(path);
+            await writeFile(fullPath, source);
+            await this._recordVersion(path, source);
         });
     }
 
@@ -164,8 +186,12 @@ class FileStore extends Store {
      */
     async delete (path) {
         const fullPath = this.resolvePath(path);
-        if (!fs.existsSync(fullPath)) return;
-        return await trash(fullPath);
+        return await serialize(fullPath, async () => {
+            if (!fs.existsSync(fullPath)) return;
+            await this._recordCurrentVersion(path);
+            await this._recordVersion(path, "");
+            return await trash(fullPath);
+        });
     }
 
 
@@ -183,13 +209,184 @@ class FileStore extends Store {
     async deleteAll (path) {
         const fullPath = pathlib.join(this.rootPath, pathlib.normalize(`/${path}/`));
         if (!fs.existsSync(fullPath)) return;
+        if (this.historyPath) {
+            for (let docPath of await this._listDocuments(pathlib.normalize(`/${path}/`))) {
+                await this._recordCurrentVersion(docPath);
+                await this._recordVersion(docPath, "");
+            }
+        }
         return await trash(fullPath);
     }
 
 
+    /**
+     *  fileStore.history - async method
+     *  ------------------------------------------------------------------------
+     *  Returns the list of the recorded versions of a document.
+     *  
+     *  ```js
+     *  versions = await fileStore.history("/path/to/doc");
+     *  ```
+     *  
+     *  - If `options.historyPath` was passed to the constructor, every call
+     *    to `write`, `delete` and `deleteAll` saves a copy of the new document
+     *    source as `<historyPath>/path/to/doc.olo/<id>`; if the current
+     *    source differs from the last recorded version (e.g. the document
+     *    was created before enabling the history or modified by another
+     *    process), it gets recorded as well before being replaced
+     *  - Each item of `versions` is an `{id, date}` object, where `id` is
+     *    a progressive version number starting from `1` and `date` is the
+     *    modification time of the version file
+     *  - If the document has no history or `options.historyPath` was not
+     *    defined, `versions` is `[]`
+     */
+    async history (path) {
+        if (!this.historyPath) return [];
+        const versionsPath = this.resolveHistoryPath(path);
+        const versions = [];
+        for (let id of await this._listVersionIds(path)) {
+            const stats = fs.statSync(pathlib.join(versionsPath, String(id)));
+            versions.push({id, date:stats.mtime});
+        }
+        return versions;
+    }
+
+
+    /**
+     *  fileStore.readVersion - async method
+     *  ------------------------------------------------------------------------
+     *  Retrieves the source of a recorded version of a document.
+     *  
+     *  ```js
+     *  source = await fileStore.readVersion("/path/to/doc", versionId);
+     *  ```
+     *  
+     *  If the requested version doesn't exist, it returns an empty string.
+     */
+    async readVersion (path, versionId) {
+        if (!this.historyPath) return "";
+        const id = Number(versionId);
+        if (!Number.isInteger(id)) return "";
+        const fullPath = pathlib.join(this.resolveHistoryPath(path), String(id));
+        if (!fs.existsSync(fullPath)) return "";
+        return await readFile(fullPath);
+    }
+
+
+    /**
+     *  fileStore.watch - method
+     *  ------------------------------------------------------------------------
+     *  Registers a callback that gets called every time a document file
+     *  changes.
+     *  
+     *  ```js
+     *  unwatch = fileStore.watch("/path/to/", change => { ... });
+     *  ```
+     *  
+     *  - The root directory is watched via `fs.watch`, therefore also the
+     *    changes made to the files by other processes will be notified;
+     *    where `fs.watch` cannot watch the sub-directories recursively (e.g.
+     *    on Linux before node 20), each directory gets its own watcher
+     *  - The callback is called with a `{type, path}` object, where `type` is
+     *    `"write"` if the document file exists after the change or `"delete"`
+     *    if it doesn't
+     *  - If path is `/path/to/doc`, only the changes to `<rootPath>/path/to/doc.olo`
+     *    will be notified; if path is `/path/to/`, the changes to all the
+     *    documents under `<rootPath>/path/to/` will be notified
+     *  - Calling `unwatch()` closes the file system watcher
+     *  
+     *  The `.olo` default extension can be changed by passing a `options.extension`
+     *  string to the store constructor.
+     */
+    watch (path, callback) {
+        const watchedPath = pathlib.normalize(`/${path}`);
+        if (!fs.existsSync(this.rootPath)) mkdirp.sync(this.rootPath);
+        
+        // fs.watch may fire more than one event per change, therefore the
+        // notifications are delayed until the file has settled
+        const timeouts = new Map();
+        const notify = docPath => {
+            const type = fs.existsSync(this.resolvePath(docPath)) ? 'write' : 'delete';
+            timeouts.delete(docPath);
+            callback({type, path:docPath});
+        }
+        
+        const unwatchTree = watchTree(this.rootPath, fileName => {
+            if (fileName.slice(-this.extension.length) !== this.extension) return;
+            const docPath = `/${fileName.slice(0, fileName.length-this.extension.length)}`;
+            if (!this.isWatchedPath(docPath, watchedPath)) return;
+            clearTimeout(timeouts.get(docPath));
+            timeouts.set(docPath, setTimeout(notify, this.constructor.watchDelay, docPath));
+        });
+        
+        return () => {
+            for (let timeout of timeouts.values()) clearTimeout(timeout);
+            unwatchTree();
+        };
+    }
+
+
+    resolveHistoryPath (path) {
+        return pathlib.join(this.historyPath, pathlib.normalize(`/${path}${this.extension}`));
+    }
+
+    // Saves a new version of a document in the history directory
+    async _recordVersion (path, source) {
+        if (!this.historyPath) return;
+        const versionIds = await this._listVersionIds(path);
+        const id = versionIds.length === 0 ? 1 : versionIds[versionIds.length-1] + 1;
+        const versionsPath = this.resolveHistoryPath(path);
+        mkdirp.sync(versionsPath);
+        await writeFile(pathlib.join(versionsPath, String(id)), source);
+    }
+
+    // Saves the current source of a document as a new version, if the
+    // document exists and its source is not the last recorded version
+    async _recordCurrentVersion (path) {
+        if (!this.historyPath) return;
+        const fullPath = this.resolvePath(path);
+        if (!fs.existsSync(fullPath)) return;
+        const versionIds = await this._listVersionIds(path);
+        const lastSource = versionIds.length === 0 ? null :
+                await this.readVersion(path, versionIds[versionIds.length-1]);
+        const source = await readFile(fullPath);
+        if (source !== lastSource) await this._recordVersion(path, source);
+    }
+
+    // Returns the sorted list of the version numbers of a document
+    async _listVersionIds (path) {
+        const versionsPath = this.resolveHistoryPath(path);
+        if (!fs.existsSync(versionsPath)) return [];
+        const ids = [];
+        for (let dirent of await readDir(versionsPath)) {
+            const id = Number(dirent.name);
+            if (dirent.isFile() && Number.isInteger(id)) ids.push(id);
+        }
+        return ids.sort((id1, id2) => id1 - id2);
+    }
+
+    // Returns the paths of all the documents contained in a directory,
+    // including the sub-directories
+    async _listDocuments (dirPath) {
+        const docPaths = [];
+        for (let entry of await this.list(dirPath)) {
+            if (entry.slice(-1) === '/') {
+                docPaths.push(...await this._listDocuments(dirPath + entry));
+            } else {
+                docPaths.push(dirPath + entry);
+            }
+        }
+        return docPaths;
+    }
+
+
     static get defaultExtension () {
         return ".olo";
     }
+
+    static get watchDelay () {
+        return 20;
+    }
  }
 
 
@@ -207,6 +404,103 @@ function readDir (path) {
     });
 }
 
+// Asynchronous version of fs.readFile
+function readFile (path) {
+    return new Promise((resolve, reject) => {
+        fs.readFile(path, {encoding:'utf8'}, (err, content) => {
+            if (err) reject(err);
+            else resolve(content);
+        });
+    });
+}
+
+// Asynchronous version of fs.writeFile
+function writeFile (path, content) {
+    return new Promise((resolve, reject) => {
+        fs.writeFile(path, content, {encoding:'utf8'}, (err) => {
+            if (err) reject(err);
+            else resolve();
+        });
+    });
+}
+
+// Calls `listener` with the path relative to `rootPath` of each file that
+// changes in the `rootPath` directory tree and returns a function that stops
+// watching. Where the recursive `fs.watch` is not available (Linux before
+// node 20), it watches each directory separately, adding a watcher for each
+// new directory and notifying the files it contains.
+const RECURSIVE_WATCH = process.platform !== 'linux' ||
+        Number(process.versions.node.split('.')[0]) >= 20;
+function watchTree (rootPath, listener) {
+    if (RECURSIVE_WATCH) {
+        const watcher = fs.watch(rootPath, {recursive:true}, (eventType, fileName) => {
+            if (fileName) listener(String(fileName).split(pathlib.sep).join('/'));
+        });
+        return () => watcher.close();
+    }
+
+    const watchers = new Map();     // relative directory path => watcher
+    const unwatchDir = dirPath => {
+        for (let [path, watcher] of watchers) {
+            if (path.indexOf(dirPath) !== 0) continue;
+            watcher.close();
+            watchers.delete(path);
+        }
+    };
+    const watchDir = (dirPath, isNew) => {
+        if (watchers.has(dirPath)) return;
+        try {
+            var watcher = fs.watch(pathlib.join(rootPath, dirPath), (eventType, fileName) => {
+                if (!fileName) return;
+                const filePath = dirPath + String(fileName);
+                const fullPath = pathlib.join(rootPath, filePath);
+                const stats = fs.existsSync(fullPath) ? fs.statSync(fullPath) : null;
+                if (stats && stats.isDirectory()) {
+                    watchDir(`${filePath}/`, true);
+                } else {
+                    if (!stats) unwatchDir(`${filePath}/`);
+                    listener(filePath);
+                }
+            });
+            var dirents = fs.readdirSync(pathlib.join(rootPath, dirPath), {withFileTypes:true});
+        } catch (error) {
+            // the directory has been removed in the meanwhile
+            if (watcher) watcher.close();
+            return;
+        }
+        watcher.on('error', () => unwatchDir(dirPath));
+        watchers.set(dirPath, watcher);
+        for (let dirent of dirents) {
+            if (dirent.isDirectory()) {
+                watchDir(`${dirPath}${dirent.name}/`, isNew);
+            } else if (isNew) {
+                listener(dirPath + dirent.name);
+            }
+        }
+    };
+
+    watchDir("", false);
+    return () => unwatchDir("");
+}
+
+
+// Runs the async `task` function after all the tasks previously serialized
+// with the same key are completed and returns its result. The keys are file
+// paths, so that the concurrent modifications of a file, even via different
+// FileStore instances, don't interleave.
+const pendingTasks = new Map();
+function serialize (key, task) {
+    const previousTask = pendingTasks.get(key) || Promise.resolve();
+    const result = previousTask.then(task);
+    const pendingTask = result.catch(() => {});
+    pendingTasks.set(key, pendingTask);
+    pendingTask.then(() => {
+        if (pendingTasks.get(key) === pendingTask) pendingTasks.delete(key);
+    });
+    return result;
+}
+
+
 function normalizeExtension (ext) {
     while (ext[0] === ".") ext = ext.slice(1);
     return ext === "" ? ext : `.${ext}`;
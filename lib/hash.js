@@ -0,0 +1,24 @@
+/**
+ *  hash - function
+ *  ============================================================================
+ *  Returns a 53-bit hash of the given string as hexadecimal string. This is
+ *  not a cryptographic hash: it is meant to identify the content of a
+ *  document, both in NodeJS and in the browser.
+ *
+ *  ```js
+ *  digest = hash(source)
+ *  ```
+ */
+module.exports = function hash (string) {
+    // cyrb53 algorithm
+    let h1 = 0xdeadbeef, h2 = 0x41c6ce57;
+    for (let i = 0; i < string.length; i++) {
+        const ch = string.charCodeAt(i);
+        h1 = Math.imul(h1 ^ ch, 2654435761);
+        h2 = Math.imul(h2 ^ ch, 1597334677);
+    }
+    h1 = Math.imul(h1 ^ (h1 >>> 16), 2246822507) ^ Math.imul(h2 ^ (h2 >>> 13), 3266489909);
+    h2 = Math.imul(h2 ^ (h2 >>> 16), 2246822507) ^ Math.imul(h1 ^ (h1 >>> 13), 3266489909);
+    const digest = 4294967296 * (2097151 & h2) + (h1 >>> 0);
+    return digest.toString(16).padStart(14, '0');
+}
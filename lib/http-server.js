@@ -11,6 +11,9 @@ const http = require('http');
 const express = require("express");
 const bodyParser = require('body-parser');
 const Store = require('./store');
+const PermissionStore = require('./permission-store');
+const hash = require('./hash');
+const Config = require('./config');
 
 
  
@@ -22,19 +25,56 @@ const Store = require('./store');
  *  olojs store via HTTP.
  *
  *  ```js
- *  middleware = HTTPServer.StoreMiddleware(store)
+ *  middleware = HTTPServer.StoreMiddleware(store, options)
  *  expressApp.use(mountPath, middleware);
  *  ```
  *
- *  - On `GET /paht/to/doc` requests accepting `text/*`, it will respond with
- *    the source of the document loaded via `store.read("/path/to/doc")`.
+ *  - `options.auth` is an optional asynchronous function that verifies the
+ *    credentials passed with the `Authorization` header of each request and
+ *    returns the authenticated user, or `null` if the credentials are not
+ *    valid. The credentials are passed as `{scheme:"bearer", token}` for
+ *    `Bearer` authorization and as `{scheme:"basic", username, password}` for
+ *    `Basic` authorization.
+ *  - `options.acl` is an optional access control list as defined by
+ *    [PermissionStore](./permission-store.md); when defined, each request
+ *    will access the store via a `PermissionStore` granting access to the
+ *    authenticated user.
+ *
+ *  - On `GET /paht/to/doc?x=1` requests preferring `text/html` over
+ *    `text/plain` (e.g. requests made by a web browser), it will respond with
+ *    the rendered text of the document loaded via 
+ *    `store.load("/path/to/doc?x=1")`. Since the document content is not
+ *    trusted, the response has a `Content-Security-Policy: sandbox;
+ *    default-src 'none'` header, which prevents the page from running
+ *    scripts and from accessing the store with the visitor credentials.
+ *  - On `GET /paht/to/doc?x=1` requests accepting only
+ *    `application/x-olo-namespace+json`, it will respond with the
+ *    JSON-serialized namespace of the document loaded via
+ *    `store.load("/path/to/doc?x=1")`; only the plain data values (strings,
+ *    numbers, booleans, null, lists and namespaces) are serialized, while
+ *    functions, names starting with `$` (e.g. the context internals) and
+ *    any other value are skipped.
+ *  - On any other `GET /paht/to/doc` requests accepting `text/*`, it will
+ *    respond with the source of the document loaded via 
+ *    `store.read("/path/to/doc")`. The response has an `ETag` header
+ *    containing a hash of the source; if the request `If-None-Match` header
+ *    matches it, the server will respond with the status code 304 and no
+ *    body.
  *  - On `GET /paht/to/doc` requests accepting `application/json`, it will
  *    respond with the JSON-serialized array returned by
  *    `store.list("/path/to/doc")`.
+ *  - On `GET /paht/to/doc` requests accepting only `text/event-stream`, it
+ *    will open a [Server-Sent Events](https://developer.mozilla.org/en-US/docs/Web/API/Server-sent_events)
+ *    stream and send a message for each change notified by
+ *    `store.watch("/path/to/doc", callback)`; the data of each message is
+ *    the JSON-serialized `{type, path}` change object.
  *  - On `GET /paht/to/doc` requests accepting neither `text/*` nor
  *    `application/json`, it will respond with a `415` error code.
  *  - On `PUT /paht/to/doc` requests it will execute the
- *    `store.write("/path/to/doc", body)` method.
+ *    `store.write("/path/to/doc", body)` method. If the request has an
+ *    `If-Match` header, its entity tag is passed to the store as `ifMatch`
+ *    option and the server will respond with the status code 412 if
+ *    the store throws a `ConflictError`.
  *  - On `DELETE /paht/to/doc` requests it will execute the
  *    `store.delete("/path/to/doc")` method.
  *  - On `DELETE /paht/to/doc` requests accepting a `text/directory` MimeType, 
@@ -47,18 +87,61 @@ const Store = require('./store');
  *    will respond with the status code 403
  *  - The `PUT` and `DELETE` handlers, on store's `WriteOperationNotAllowedError`
  *    will respond with the status code 405
+ *  - All the handlers respond with the status code 401 if the request has an
+ *    `Authorization` header and `options.auth` doesn't validate it
  */
-const StoreMiddleware = exports.StoreMiddleware = function (store) {
+const StoreMiddleware = exports.StoreMiddleware = function (store, options={}) {
     const router = express.Router();
 
+    // Authenticate the request user
+    router.use(async (req, res, next) => {
+        try {
+            req.user = await authenticate(req, options.auth);
+            next();
+        } catch (error) {
+            res.status(401).set('WWW-Authenticate', 'Basic realm="olojs"').send(error.message);
+        }
+    });
+
+    // Returns the store to be used to handle the request
+    const getStore = req => options.acl ? 
+            new PermissionStore(store, options.acl, req.user) : store;
+
     // Handle an olo-document GET request
     router.get("*", async (req, res, next) => {
         try {
-            if (req.accepts("text/*")) {
-                let source = await store.read(req.path);
-                res.status(200).send(String(source));
+            if (req.get('Accept') === "text/event-stream") {
+                let unwatch = getStore(req).watch(req.path, change => {
+                    res.write(`data: ${JSON.stringify(change)}\n\n`);
+                });
+                req.on('close', unwatch);
+                res.status(200).set({
+                    'Content-Type': 'text/event-stream',
+                    'Cache-Control': 'no-cache',
+                    'Connection': 'keep-alive'
+                });
+                res.flushHeaders();
+            } else if (req.get('Accept') === "application/x-olo-namespace+json") {
+                let {namespace} = await getStore(req).load(req.url);
+                res.status(200)
+                        .type("application/x-olo-namespace+json")
+                        .send(JSON.stringify(serializeData(namespace)));
+            } else if (req.accepts(["text/plain", "text/html"]) === "text/html") {
+                let {text} = await getStore(req).load(req.url);
+                res.status(200).type('html')
+                        .set('Content-Security-Policy', "sandbox; default-src 'none'")
+                        .send(text);
+            } else if (req.accepts("text/*")) {
+                let source = String(await getStore(req).read(req.path));
+                let etag = `"${hash(source)}"`;
+                res.set('ETag', etag);
+                if (matchesETag(req.get('If-None-Match'), etag)) {
+                    res.status(304).end();
+                } else {
+                    res.status(200).send(source);
+                }
             } else if (req.accepts("application.json")) {
-                let entries = await store.list(req.path);
+                let entries = await getStore(req).list(req.path);
                 res.status(200).json(entries);
             } else {
                 res.status(415).send(`Unsupported media types: ${req.get("Accept")}`);
@@ -78,9 +161,9 @@ const StoreMiddleware = exports.StoreMiddleware = function (store) {
     router.delete("*", async (req, res, next) => {
         try {
             if (req.get('Content-Type') === "text/directory") {
-                await store.deleteAll(req.path);
+                await getStore(req).deleteAll(req.path);
             } else {
-                await store.delete(req.path);
+                await getStore(req).delete(req.path);
             }
             res.status(200).send();
         } catch (error) {
@@ -102,13 +185,16 @@ const StoreMiddleware = exports.StoreMiddleware = function (store) {
     // Handle an olo-document PUT request
     router.put("*", async (req, res, next) => {
         try {
-            await store.write(req.path, req.body);
+            const ifMatch = parseETag(req.get('If-Match'));
+            await getStore(req).write(req.path, req.body, ifMatch === undefined ? {} : {ifMatch});
             res.status(200).send();
         } catch (error) {
             if (error instanceof Store.WritePermissionDeniedError) {
                 res.status(403).send(error.message);
             } else if (error instanceof Store.WriteOperationNotAllowedError) {
                 res.status(405).send(error.message);
+            } else if (error instanceof Store.ConflictError) {
+                res.status(412).send(error.message);
             } else {
                 res.status(500).send(error.message);
             }
@@ -120,19 +206,111 @@ const StoreMiddleware = exports.StoreMiddleware = function (store) {
 
 
 
+// Converts a value to plain data, discarding functions, non-data objects and
+// `$`-prefixed names; it returns undefined if the value itself is not
+// serializable.
+function serializeData (value, ancestors=new Set()) {
+    switch (typeof value) {
+        case "string":
+        case "number":
+        case "boolean":
+            return value;
+        case "object":
+            if (value === null) return null;
+            if (ancestors.has(value)) return undefined;
+            const childAncestors = new Set(ancestors).add(value);
+            if (Array.isArray(value)) {
+                return value.map(item => {
+                    const data = serializeData(item, childAncestors);
+                    return data === undefined ? null : data;
+                });
+            }
+            const proto = Object.getPrototypeOf(value);
+            if (proto !== Object.prototype && proto !== null) return undefined;
+            const data = {};
+            for (let name in value) {
+                if (name[0] === '$') continue;
+                const itemData = serializeData(value[name], childAncestors);
+                if (itemData !== undefined) data[name] = itemData;
+            }
+            return data;
+        default:
+            return undefined;
+    }
+}
+
+
+
+// Returns true if the given `If-None-Match` header value matches the given
+// entity tag. Express' `req.fresh` can't be used here because the fetch API
+// adds `Cache-Control: no-cache` to the requests having an `If-None-Match`
+// header.
+function matchesETag (header, etag) {
+    if (!header) return false;
+    if (header.trim() === '*') return true;
+    return header.split(',').some(tag => tag.trim().replace(/^W\//, '') === etag);
+}
+
+
+
+// Returns the unquoted entity tag contained in the given `If-Match` header
+// value, or undefined if the header is missing or equal to `*`.
+function parseETag (header) {
+    if (!header || header.trim() === '*') return undefined;
+    return header.trim().replace(/^W\//, '').replace(/^"(.*)"$/, '$1');
+}
+
+
+
+// Returns the user authenticated by the `auth` function, or null if the
+// request has no authorization header.
+async function authenticate (req, auth) {
+    const authorization = req.get('Authorization');
+    if (!authorization || typeof auth !== 'function') return null;
+
+    const separatorIndex = authorization.indexOf(' ');
+    if (separatorIndex === -1) throw new Error('Invalid credentials');
+    const scheme = authorization.slice(0, separatorIndex).toLowerCase();
+    const params = authorization.slice(separatorIndex+1).trim();
+
+    let credentials;
+    if (scheme === 'bearer') {
+        credentials = {scheme, token:params};
+    } else if (scheme === 'basic') {
+        const userPass = Buffer.from(params, 'base64').toString('utf8');
+        const colonIndex = userPass.indexOf(':');
+        if (colonIndex === -1) throw new Error('Invalid credentials');
+        credentials = {
+            scheme,
+            username: userPass.slice(0, colonIndex),
+            password: userPass.slice(colonIndex+1)
+        };
+    } else {
+        throw new Error(`Unsupported authorization scheme: ${scheme}`);
+    }
+
+    const user = await auth(credentials);
+    if (user === null || user === undefined) throw new Error('Invalid credentials');
+    return user;
+}
+
+
+
 /**
  *  HTTPServer.StoreServer - function
  *  ----------------------------------------------------------------------------
  *  Creates a HTTP Server that mounts a `StoreMiddleware` at `/`.
  *  
  *  ```js
- *  server = HTTPServer.StoreServer(store);
+ *  server = HTTPServer.StoreServer(store, options);
  *  selrver.listen(8010);
  *  ```
+ *  
+ *  The `options` are passed to the `StoreMiddleware`.
  */
-exports.StoreServer = store => {
+exports.StoreServer = (store, options) => {
     const app = express();
-    app.use('/', StoreMiddleware(store));
+    app.use('/', StoreMiddleware(store, options));
     return http.createServer(app);
 }
 
@@ -156,7 +334,9 @@ exports.StoreServer = store => {
  *  
  *  The viewer app, in the browsers, will load the document with id defined by 
  *  the URL fragment (e.g. `/#/path/to/doc`), evaluate it, render it, sanitize 
- *  it and inject it in the DOM.
+ *  it and inject it in the DOM. The document will be rendered again every time
+ *  it changes in the store, provided that the store server streams the change
+ *  events (see `StoreMiddleware`).
  */
 const ViewerMiddleware = exports.ViewerMiddleware = function (storeURL) {
     const publicPath = pathlib.join(__dirname, '../dist');
@@ -182,14 +362,47 @@ const ViewerMiddleware = exports.ViewerMiddleware = function (storeURL) {
  *  store at `/docs`.
  *  
  *  ```js
- *  server = HTTPServer.ViewerServer(store);
+ *  server = HTTPServer.ViewerServer(store, options);
  *  selrver.listen(8010);
  *  ```
+ *  
+ *  The `options` are passed to the `StoreMiddleware`.
  */
-exports.ViewerServer = store => {
+exports.ViewerServer = (store, options) => {
     const app = express();
-    app.use('/docs', StoreMiddleware(store));
+    app.use('/docs', StoreMiddleware(store, options));
     app.use('/', ViewerMiddleware('/docs'));
     return http.createServer(app);
 }
 
+
+
+
+/**
+ *  HTTPServer.ConfigServer - function
+ *  ----------------------------------------------------------------------------
+ *  Creates a HTTP Server out of a [configuration file](./config.md).
+ *  
+ *  ```js
+ *  server = HTTPServer.ConfigServer("/path/to/olojs.config.json");
+ *  server.listen(server.port);
+ *  ```
+ *  
+ *  - Instead of the configuration file path, it accepts also the
+ *    `{store, server}` object returned by `Config.load`
+ *  - If the `server.viewer` configuration option is `false`, it creates a
+ *    `StoreServer`, otherwise it creates a `ViewerServer`
+ *  - The `server.auth` and `server.acl` configuration options are passed to
+ *    the `StoreMiddleware`
+ *  - The returned server has a `port` property containing the `server.port`
+ *    configuration option
+ */
+exports.ConfigServer = (config) => {
+    if (typeof config === 'string') config = Config.load(config);
+    const options = {auth: config.server.auth, acl: config.server.acl};
+    const server = config.server.viewer === false ?
+            exports.StoreServer(config.store, options) :
+            exports.ViewerServer(config.store, options);
+    server.port = config.server.port;
+    return server;
+}
@@ -21,6 +21,11 @@ const isURI = s => /^([a-zA-Z][a-zA-Z0-9+.-]*):\/(.*)$/.test(s);
  *    the `read`, `list`, `write` and `delete` methods.
  *  - `options.headers` are custom headers that will be added to every HTTP
  *    request.
+ *  - `options.delimiters` is the pair of strings delimiting the inline
+ *    expressions of the documents (defaults to `["<%", "%>"]`)
+ *  - `options.cacheSize` is the maximum number of document sources kept in
+ *    the `read` cache (defaults to `500`); when exceeded, the least recently
+ *    used sources are discarded
  *  - `httpStore` is a [olojs.Store](./store.md) object
  */
 class HTTPStore extends Store {
@@ -35,6 +40,9 @@ class HTTPStore extends Store {
             throw new Error(`Invalid http URL: ${rootURL}`)
         }
         this.headers = isObject(options.headers) ? options.headers : {};
+        if (Array.isArray(options.delimiters)) this.delimiters = options.delimiters;
+        this.cacheSize = options.cacheSize === undefined ? 500 : options.cacheSize;
+        this._sourceCache = new Map();
     }
 
     resolveURL (path) {
@@ -52,25 +60,51 @@ class HTTPStore extends Store {
      *  ```
      *  
      *  - On 200 status code, returns the response body as string
+     *  - On 304 status code, returns the previously read source
      *  - On 403 status code, throws a `HTTPStore.ReadPermissionDeniedError`
      *  - On 404 status code, return an empty string
      *  - On 405 or 501 status code, throws a `HTTPStore.ReadOperationNotAllowedError`
      *  - On any other status code, throws a generic error
+     *
+     *  The sources of the responses having an `ETag` header are kept in a
+     *  local cache of `options.cacheSize` entries: the following requests of
+     *  the same document will send the `If-None-Match` header, so that the
+     *  server can respond with 304 if the document didn't change.
      */
     async read (path) {
         if (isURI(path)) throw new this.constructor.ReadOperationNotAllowedError(path);
         const url = this.resolveURL(path);
+        const cached = this._sourceCache.get(url);
+        if (cached) {
+            // Re-insert the entry to mark it as most recently used
+            this._sourceCache.delete(url);
+            this._sourceCache.set(url, cached);
+        }
 
         const response = await fetch(url, {
             method: 'get',
             headers: Object.assign({}, this.headers, {
                 'Accept': 'text/*',
-            }),
+            }, cached ? {'If-None-Match': cached.etag} : {}),
         });
 
         switch (response.status) {
             case 200:
-                return await response.text();
+                const source = await response.text();
+                const etag = response.headers.get('ETag');
+                if (etag) {
+                    this._sourceCache.delete(url);
+                    this._sourceCache.set(url, {etag, source});
+                    while (this._sourceCache.size > this.cacheSize) {
+                        this._sourceCache.delete(this._sourceCache.keys().next().value);
+                    }
+                } else {
+                    this._sourceCache.delete(url);
+                }
+                return source;
+            case 304:
+                if (cached) return cached.source;
+                throw new Error(`Unexpected 304 response: ${url}`);
             case 403:
                 throw new this.constructor.ReadPermissionDeniedError(url);
             case 404:
@@ -138,14 +172,17 @@ class HTTPStore extends Store {
      *  
      *  ```js
      *  await httpStore.write("/path/to/doc", source)
+     *  await httpStore.write("/path/to/doc", source, {ifMatch: version})
      *  ```
      *  
+     *  - If `options.ifMatch` is defined, it is sent as `If-Match` header
      *  - On 200 and 201 status code, returns
      *  - On 403 status code, throws a `HTTPStore.WritePermissionDeniedError`
      *  - On 405 or 501 status code, throws a `HTTPStore.WriteOperationNotAllowedError`
+     *  - On 412 status code, throws a `HTTPStore.ConflictError`
      *  - On any other status code, throws a generic error
      */
-    async write (path, source) {
+    async write (path, source, options={}) {
         if (isURI(path)) throw new this.constructor.WriteOperationNotAllowedError(path);
         const url = this.resolveURL(path);
 
@@ -154,9 +191,10 @@ class HTTPStore extends Store {
             headers: Object.assign({}, this.headers, {
                 'Accept': 'text/*',
                 'Content-Type': 'text/plain',
-            }),
+            }, options.ifMatch !== undefined ? {'If-Match': `"${options.ifMatch}"`} : {}),
             body: String(source)
         });
+        this._sourceCache.delete(url);
 
         switch (response.status) {
             case 200:
@@ -167,6 +205,8 @@ class HTTPStore extends Store {
             case 405:
             case 501:
                 throw new this.constructor.WriteOperationNotAllowedError(url);
+            case 412:
+                throw new this.constructor.ConflictError(url);
             default:
                 let message = await response.text();
                 throw new Error(message);
@@ -199,6 +239,7 @@ class HTTPStore extends Store {
                 'Content-Type': 'text/plain',
             })
         });
+        this._sourceCache.delete(url);
 
         switch (response.status) {
             case 200:
@@ -241,6 +282,9 @@ class HTTPStore extends Store {
                 'Content-Type': 'text/directory',
             })
         });
+        for (let cachedURL of Array.from(this._sourceCache.keys())) {
+            if (cachedURL.indexOf(url) === 0) this._sourceCache.delete(cachedURL);
+        }
 
         switch (response.status) {
             case 200:
@@ -255,7 +299,81 @@ class HTTPStore extends Store {
                 throw new Error(message);
         }
     }
+
+
+    /**
+     *  httpStore.watch - method
+     *  ------------------------------------------------------------------------
+     *  Listens for changes to remote olo-documents via an HTTP GET request
+     *  that accepts only `text/event-stream` as response.
+     *  
+     *  ```js
+     *  unwatch = httpStore.watch("/path/to/", change => { ... });
+     *  ```
+     *  
+     *  - Every server-sent message is parsed as JSON and passed to the
+     *    callback as `{type, path}` change object
+     *  - Calling `unwatch()` closes the connection
+     *  - If the server doesn't respond with the status code 200 or the
+     *    connection fails, the callback will never be called
+     */
+    watch (path, callback) {
+        if (isURI(path)) throw new this.constructor.ReadOperationNotAllowedError(path);
+        const url = this.resolveURL(path);
+        const controller = new AbortController();
+
+        const listen = async () => {
+            const response = await fetch(url, {
+                method: 'get',
+                headers: Object.assign({}, this.headers, {
+                    'Accept': 'text/event-stream',
+                }),
+                signal: controller.signal
+            });
+            if (response.status !== 200) return;
+
+            let buffer = "";
+            for await (let chunk of iterText(response.body)) {
+                buffer += chunk.replace(/\r\n?/g, "\n");
+                let messages = buffer.split("\n\n");
+                buffer = messages.pop();
+                for (let message of messages) {
+                    const data = message.split("\n")
+                            .filter(line => line.slice(0,5) === "data:")
+                            .map(line => line.slice(5).trim())
+                            .join("\n");
+                    if (data) callback(JSON.parse(data));
+                }
+            }
+        }
+
+        // A failed connection, as well as an aborted one, just stops the
+        // notifications
+        listen().catch(error => {});
+
+        return () => controller.abort();
+    }
 }
 
 
 module.exports = HTTPStore;
+
+
+
+// Iterates over the text chunks of a response body, which is a ReadableStream
+// in the browser and a node Readable in NodeJS.
+async function *iterText (body) {
+    const decoder = new TextDecoder();
+    if (typeof body.getReader === 'function') {
+        const reader = body.getReader();
+        while (true) {
+            const {done, value} = await reader.read();
+            if (done) return;
+            yield decoder.decode(value, {stream:true});
+        }
+    } else {
+        for await (let chunk of body) {
+            yield decoder.decode(chunk, {stream:true});
+        }
+    }
+}
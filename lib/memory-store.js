@@ -23,8 +23,10 @@ class MemoryStore extends Store {
     constructor (documents={}) {
         super();
         this._content = new Map();
+        this._history = new Map();
+        this._watchers = new Set();
         for (let path in documents) {
-            this._content.set(this.normalizePath(path), String(documents[path]));
+            this.write(path, documents[path]);
         }
     }
 
@@ -96,10 +98,20 @@ class MemoryStore extends Store {
      *  - If path is `path/to/x/../doc`, the content of `/path/to/doc` will
      *    be modified with the passed source
      *  - `source` will be always converted to string
+     *  - If `options.ifMatch` is defined and it doesn't match the version of
+     *    the current source, it throws `MemoryStore.ConflictError`
      */
-    write (path, source) {
+    write (path, source, options={}) {
         const normPath = this.normalizePath(path);
-        return this._content.set(normPath, String(source));
+        if (options.ifMatch !== undefined) {
+            const currentSource = this._content.get(normPath) || "";
+            if (this.constructor.versionOf(currentSource) !== options.ifMatch) {
+                throw new this.constructor.ConflictError(normPath);
+            }
+        }
+        this._recordVersion(normPath, String(source));
+        this._content.set(normPath, String(source));
+        this._notify('write', normPath);
     }
 
 
@@ -116,7 +128,11 @@ class MemoryStore extends Store {
      */
     delete (path) {
         const normPath = this.normalizePath(path);
-        return this._content.delete(normPath);
+        if (this._content.has(normPath)) {
+            this._recordVersion(normPath, "");
+            this._content.delete(normPath);
+            this._notify('delete', normPath);
+        }
     }
 
 
@@ -140,6 +156,105 @@ class MemoryStore extends Store {
             }
         }
     }
+
+
+    /**
+     *  memStore.history - method
+     *  ------------------------------------------------------------------------
+     *  Returns the list of the versions of the document mapped to the given
+     *  path, from the oldest to the most recent.
+     *  
+     *  ```js
+     *  versions = await memStore.history("/path/to/doc");
+     *  ```
+     *  
+     *  - Every call to `write` and `delete` records a new version in memory
+     *  - The documents passed to the constructor are recorded as first version
+     *  - Only the most recent `MemoryStore.maxVersions` versions (`100` by
+     *    default) of each document are kept, the older ones get discarded;
+     *    a subclass can override the static `maxVersions` getter to change
+     *    the limit
+     *  - Each item of `versions` is an `{id, date}` object, where `id` is
+     *    a progressive version number starting from `1`
+     *  - If the document has no history, `versions` is `[]`
+     */
+    history (path) {
+        const normPath = this.normalizePath(path);
+        const versions = this._history.get(normPath) || [];
+        return versions.map(version => ({id:version.id, date:version.date}));
+    }
+
+
+    /**
+     *  memStore.readVersion - method
+     *  ------------------------------------------------------------------------
+     *  Retrieves the source of a version of the document mapped to the given
+     *  path.
+     *  
+     *  ```js
+     *  source = await memStore.readVersion("/path/to/doc", versionId);
+     *  ```
+     *  
+     *  If the requested version doesn't exist, it returns an empty string.
+     */
+    readVersion (path, versionId) {
+        const normPath = this.normalizePath(path);
+        const versions = this._history.get(normPath) || [];
+        const version = versions.find(version => version.id === Number(versionId));
+        return version ? version.source : "";
+    }
+
+
+    /**
+     *  memStore.watch - method
+     *  ------------------------------------------------------------------------
+     *  Registers a callback that gets called every time a document gets
+     *  modified.
+     *  
+     *  ```js
+     *  unwatch = memStore.watch("/path/to/", change => { ... });
+     *  ```
+     *  
+     *  - The callback is called with a `{type, path}` object on every `write`
+     *    (`type` is `"write"`) and `delete` (`type` is `"delete"`) operation;
+     *    `deleteAll` notifies one deletion per removed document
+     *  - If path is `/path/to/doc`, only the changes to `/path/to/doc` will be
+     *    notified; if path is `/path/to/`, the changes to all the documents
+     *    under `/path/to/` will be notified
+     *  - Calling `unwatch()` stops the notifications
+     */
+    watch (path, callback) {
+        const watcher = {path:this.normalizePath(path), callback};
+        this._watchers.add(watcher);
+        return () => this._watchers.delete(watcher);
+    }
+
+
+    // Calls the watchers matching the given document path
+    _notify (type, normPath) {
+        for (let watcher of this._watchers) {
+            if (this.isWatchedPath(normPath, watcher.path)) {
+                watcher.callback({type, path:normPath});
+            }
+        }
+    }
+
+    // Appends a new version to the in-memory history of a document,
+    // discarding the oldest versions in excess
+    _recordVersion (normPath, source) {
+        if (!this._history.has(normPath)) this._history.set(normPath, []);
+        const versions = this._history.get(normPath);
+        const id = versions.length === 0 ? 1 : versions[versions.length-1].id + 1;
+        versions.push({id, date:new Date(), source});
+        if (versions.length > this.constructor.maxVersions) {
+            versions.splice(0, versions.length - this.constructor.maxVersions);
+        }
+    }
+
+
+    static get maxVersions () {
+        return 100;
+    }
 }
 
 module.exports = MemoryStore;
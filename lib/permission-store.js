@@ -0,0 +1,70 @@
+const AccessControlledStore = require('./access-controlled-store');
+
+
+
+/**
+ *  PermissionStore
+ *  ============================================================================
+ *  This store wraps another store and grants to a given user access to it
+ *  according to an access control list.
+ *
+ *  ```js
+ *  acl = {
+ *      "/"          : {read: "*",        write: ["alice", "bob"]},
+ *      "/private/"  : {read: ["alice"],  write: ["alice"]},
+ *      "/drafts/"   : {read: "*",        write: user => user !== null},
+ *      ...
+ *  };
+ *
+ *  permStore = new PermissionStore(store, acl, user);
+ *  ```
+ *
+ *  - `store` is the wrapped store
+ *  - `acl` is an object mapping path prefixes to `{read, write}` rules; a
+ *    rule can be `"*"` (granted to every user, including the anonymous `null`
+ *    user), an array of users or a function that takes a user as input and
+ *    returns `true` if the permission is granted
+ *  - `user` is the user accessing the store; it can be any value, usually the
+ *    user name returned by the authentication layer, or `null` for anonymous
+ *    access
+ *
+ *  The `PermissionStore` is an [AccessControlledStore](./access-controlled-store.md)
+ *  whose rules depend on the user. Every operation on a given path is checked
+ *  against the rule with the longest path prefix matching the path: if no
+ *  rule matches, the permission is denied. The read operations (`read`,
+ *  `list`, `history`, `readVersion`, `watch`) throw a
+ *  `PermissionStore.ReadPermissionDeniedError` if not granted; the write
+ *  operations (`write`, `delete`, `deleteAll`) throw a
+ *  `PermissionStore.WritePermissionDeniedError` if not granted.
+ */
+class PermissionStore extends AccessControlledStore {
+
+    constructor (store, acl={}, user=null) {
+        super(store, acl);
+        this.user = user;
+    }
+
+
+    // INTERNALS
+
+    // Returns true if the access control list grants the given permission
+    // (`read` or `write`) on the given path to the store user
+    hasPermission (permission, path) {
+        const rule = this.matchRule(path);
+        if (rule === undefined) return false;
+        const userRule = rule[permission];
+        if (userRule === "*") return true;
+        if (Array.isArray(userRule)) return userRule.indexOf(this.user) !== -1;
+        if (typeof userRule === "function") return Boolean(userRule(this.user));
+        return false;
+    }
+
+    assertWritePermission (path) {
+        if (!this.hasPermission('write', path)) {
+            throw new this.constructor.WritePermissionDeniedError(this.normalizePath(path));
+        }
+    }
+}
+
+module.exports = PermissionStore;
+
@@ -98,8 +98,8 @@ class Protocols extends Router {
      *  - When no store is mapped to the URI scheme, it throws a
      *    `Store.WriteOperationNotAllowedError`.
      */
-    async write (uri, source) {
-        return await super.write( pathifyURI(uri), source );
+    async write (uri, source, options={}) {
+        return await super.write( pathifyURI(uri), source, options );
     }
 
     /**
@@ -145,7 +145,94 @@ class Protocols extends Router {
     async deleteAll (uri) {
         return await super.deleteAll( pathifyURI(uri) );
     }
+
+    /**
+     *  protocols.history - async method
+     *  ------------------------------------------------------------------------
+     *  Delegatest to the `history` method of the matching protocol.
+     *  
+     *  ```js
+     *  protocols = new Protocols({s1:store1, s2:store2, ..., default:defStore})
+     *  versions = await protocols.history("s1:/path/to/doc");
+     *  ```
+     *  
+     *  - When requesting `s1:/path/to/doc`, it returns 
+     *    `await store1.history('/path/to/doc')`; etc.
+     *  - When requesting `/path/to/doc`, it returns 
+     *    `await defStore.history('/path/to/doc')`
+     *  - When no store is mapped to the URI scheme, it returns an empty array
+     */
+    async history (uri) {
+        return await super.history( pathifyURI(uri) );
+    }
+
+    /**
+     *  protocols.readVersion - async method
+     *  ------------------------------------------------------------------------
+     *  Delegatest to the `readVersion` method of the matching protocol.
+     *  
+     *  ```js
+     *  protocols = new Protocols({s1:store1, s2:store2, ..., default:defStore})
+     *  source = await protocols.readVersion("s1:/path/to/doc", versionId);
+     *  ```
+     *  
+     *  - When requesting `s1:/path/to/doc`, it returns 
+     *    `await store1.readVersion('/path/to/doc', versionId)`; etc.
+     *  - When requesting `/path/to/doc`, it returns 
+     *    `await defStore.readVersion('/path/to/doc', versionId)`
+     *  - When no store is mapped to the URI scheme, it returns an empty string
+     */
+    async readVersion (uri, versionId) {
+        return await super.readVersion( pathifyURI(uri), versionId );
+    }
     
+    /**
+     *  protocols.watch - method
+     *  ------------------------------------------------------------------------
+     *  Delegatest to the `watch` method of the matching protocol.
+     *  
+     *  ```js
+     *  protocols = new Protocols({s1:store1, s2:store2, ..., default:defStore})
+     *  unwatch = protocols.watch("s1:/path/to/", change => { ... });
+     *  ```
+     *  
+     *  - When watching `s1:/path/to/`, it calls 
+     *    `store1.watch('/path/to/', ...)` and notifies a change to 
+     *    `/path/to/doc` in `store1` as a change to `s1:/path/to/doc`
+     *  - When watching `/path/to/`, it calls 
+     *    `defStore.watch('/path/to/', ...)` and notifies a change to 
+     *    `/path/to/doc` in `defStore` as a change to `/path/to/doc`
+     *  - When no store is mapped to the URI scheme, the callback will never
+     *    be called
+     */
+    watch (uri, callback) {
+        return super.watch( pathifyURI(uri), change => callback({
+            type: change.type,
+            path: unpathifyURI(change.path)
+        }));
+    }
+
+
+    /**
+     *  protocols.getDelimiters - method
+     *  ------------------------------------------------------------------------
+     *  Returns the inline expression delimiters of a document contained in
+     *  the store mapped to the URI scheme.
+     *  
+     *  ```js
+     *  protocols = new Protocols({s1:store1, s2:store2, ..., default:defStore})
+     *  delimiters = protocols.getDelimiters("s1:/path/to/doc");
+     *  ```
+     *  
+     *  - When requesting `s1:/path/to/doc`, it returns
+     *    `store1.getDelimiters('/path/to/doc')`
+     *  - When requesting `/path/to/doc`, it returns
+     *    `defStore.getDelimiters('/path/to/doc')`
+     */
+    getDelimiters (uri) {
+        return super.getDelimiters( pathifyURI(uri) );
+    }
+
     static parseId (docId) {
         const uri = parseURI(docId);
         const id = super.parseId(uri.path);
@@ -162,6 +249,11 @@ function pathifyURI (uri) {
     return `/${scheme}:${path}`;    
 }
 
+function unpathifyURI (path) {
+    const {scheme, path:uriPath} = parseURI(path.slice(1));
+    return scheme === 'default' ? uriPath : `${scheme}:${uriPath}`;
+}
+
 function parseURI (uri) {
     const uriMatch = uri.match(URI_RE);
     if (!uriMatch) return {
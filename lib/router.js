@@ -133,13 +133,13 @@ class Router extends Store {
      *  ```
      *  
      *  - When `/path/to/store_i/sub/path/to/doc` is passed, it calls
-     *    `await store_i.write('/sub/path/to/doc', source)`.
+     *    `await store_i.write('/sub/path/to/doc', source, options)`.
      *  - When no store is mounted on `/path/to/store_i`, it throws a
      *    `Router.WriteOperationNotAllowedError`.
      */
-    async write (path, source) {
+    async write (path, source, options={}) {
         const [store, subPath] = this.match(path);
-        return store ? await store.write(subPath, source) : await super.write(path, source);
+        return store ? await store.write(subPath, source, options) : await super.write(path, source, options);
     }
 
 
@@ -193,6 +193,116 @@ class Router extends Store {
         const [store, subPath] = this.match(path);
         return store ? await store.deleteAll(subPath) : await super.deleteAll(path);
     }
+
+
+    /**
+     *  router.history - async method
+     *  ------------------------------------------------------------------------
+     *  Returns the versions of a document contained in the matching sub-store.
+     *  
+     *  ```js
+     *  versions = await router.history("/path/to/store_i/sub/path/to/doc");
+     *  ```
+     *  
+     *  - When `/path/to/store_i/sub/path/to/doc` is passed, it returns
+     *    `await store_i.history('/sub/path/to/doc')`.
+     *  - When no store is mounted on `/path/to/store_i/`, it returns an empty
+     *    array.
+     */
+    async history (path) {
+        const [store, subPath] = this.match(path);
+        return store ? await store.history(subPath) : await super.history(path);
+    }
+
+
+    /**
+     *  router.readVersion - async method
+     *  ------------------------------------------------------------------------
+     *  Retrieves a version of a document contained in the matching sub-store.
+     *  
+     *  ```js
+     *  source = await router.readVersion("/path/to/store_i/sub/path/to/doc", versionId);
+     *  ```
+     *  
+     *  - When `/path/to/store_i/sub/path/to/doc` is passed, it returns
+     *    `await store_i.readVersion('/sub/path/to/doc', versionId)`.
+     *  - When no store is mounted on `/path/to/store_i/`, it returns an empty
+     *    string.
+     */
+    async readVersion (path, versionId) {
+        const [store, subPath] = this.match(path);
+        return store ? await store.readVersion(subPath, versionId) : await super.readVersion(path, versionId);
+    }
+
+
+    /**
+     *  router.getDelimiters - method
+     *  ------------------------------------------------------------------------
+     *  Returns the inline expression delimiters of a document contained in
+     *  the matching sub-store.
+     *  
+     *  - When requesting `/path/to/store_i/sub/path/to/doc`, it returns
+     *    `store_i.getDelimiters('/sub/path/to/doc')`.
+     *  - When no store is mounted on `/path/to/store_i/`, it returns the
+     *    router own delimiters.
+     */
+    getDelimiters (path) {
+        const [store, subPath] = this.match(path);
+        return store && typeof store.getDelimiters === 'function' ?
+                store.getDelimiters(subPath) : super.getDelimiters(path);
+    }
+    
+    
+    /**
+     *  router.watch - method
+     *  ------------------------------------------------------------------------
+     *  Watches for changes the mounted stores matching the given path.
+     *  
+     *  ```js
+     *  router = new Router({
+     *      "/path/to/store_1/": store_1,
+     *      "/path/to/store_2/": store_2,
+     *      ...
+     *  })
+     *  
+     *  unwatch = router.watch("/path/to/", change => { ... });
+     *  ```
+     *  
+     *  - When `/path/to/store_i/sub/path/` is passed, it calls
+     *    `store_i.watch('/sub/path/', ...)`.
+     *  - When a directory path is passed, it also watches the root of all the
+     *    stores mounted under that path (`store_1` and `store_2` in the above
+     *    example)
+     *  - The changes notified by the mounted stores are passed to the callback
+     *    with their path translated back to a router path (e.g. a change to
+     *    `/sub/path/to/doc` in `store_1` is notified as a change to
+     *    `/path/to/store_1/sub/path/to/doc`)
+     *  - Calling `unwatch()` stops watching all the involved stores
+     */
+    watch (path, callback) {
+        const normPath = this.normalizePath(path);
+        const unwatchers = [];
+        for (let [routeId, store] of this.iterRoutes()) {
+            let subPath;
+            if (normPath.indexOf(routeId) === 0) {
+                subPath = normPath.slice(routeId.length-1);
+            } else if (normPath.slice(-1) === '/' && routeId.indexOf(normPath) === 0) {
+                subPath = '/';
+            } else {
+                continue;
+            }
+            unwatchers.push(store.watch(subPath, change => {
+                const changePath = routeId + this.normalizePath(change.path).slice(1);
+                // ignore the changes shadowed by other mount points
+                if (this.match(changePath)[0] === store) {
+                    callback({type:change.type, path:changePath});
+                }
+            }));
+        }
+        return () => {
+            for (let unwatch of unwatchers) unwatch();
+        };
+    }
     
     
     // INTERNALS
@@ -0,0 +1,174 @@
+/**
+ *  StaticSite module
+ *  ============================================================================
+ *  This NodeJS module contains functions to publish the content of a store as
+ *  static HTML pages.
+ */
+
+const pathlib = require('path');
+const fs = require('fs');
+const mkdirp = require('mkdirp');
+const createDOMPurify = require('dompurify');
+const {JSDOM} = require('jsdom');
+const Store = require('./store');
+
+const isDirectory = path => path.slice(-1) === '/';
+
+
+
+/**
+ *  StaticSite.export - async function
+ *  ----------------------------------------------------------------------------
+ *  Renders all the documents of a store and writes them as HTML files to
+ *  the given directory.
+ *
+ *  ```js
+ *  files = await StaticSite.export(store, outputPath, options);
+ *  ```
+ *
+ *  - `store` is the [Store](./store.md) to be exported
+ *  - `outputPath` is the directory where the HTML files will be written
+ *  - `options.path` is the store directory to be exported; it defaults to `/`
+ *  - `options.template` is an optional function that takes the document path,
+ *    the rendered text and the relative URL of the site root as input and
+ *    returns the HTML page; the default template wraps the rendered text in
+ *    an `olo-viewer` element styled like the document viewer
+ *  - `files` is the list of the written file paths, relative to `outputPath`
+ *
+ *  The store directories are walked via `store.list` and each document is
+ *  rendered via `store.load`; the document `/path/to/doc` is written to
+ *  `<outputPath>/path/to/doc.html`, while the directory document
+ *  `/path/to/dir/` is written to `<outputPath>/path/to/dir/index.html` if not
+ *  empty.
+ *
+ *  The links to other documents contained in the rendered text are rewritten
+ *  so that they point to the corresponding HTML files:
+ *
+ *  - viewer links like `href="#/path/to/doc"` become relative links to
+ *    `path/to/doc.html`
+ *  - relative links without file extension like `href="./doc"` or
+ *    `href="../dir/"` are interpreted as document paths and become relative
+ *    links to `doc.html` and `../dir/index.html`
+ *
+ *  Since static pages cannot receive arguments, the query part of the linked
+ *  document ids is discarded.
+ *
+ *  Since the document content is not trusted, the rendered text is sanitized
+ *  with DOMPurify, like in the document viewer, before being passed to the
+ *  template. The page returned by the template is written as it is.
+ */
+exports.export = async function (store, outputPath, options={}) {
+    const template = typeof options.template === 'function' ? options.template : defaultTemplate;
+    const rootPath = pathlib.normalize(`/${options.path || '/'}/`);
+    const files = [];
+
+    for await (let docPath of walk(store, rootPath)) {
+        const {source, text} = await store.load(docPath);
+        if (isDirectory(docPath) && source === "") continue;
+
+        const pageFile = getPageFile(docPath);
+        const rootURL = pathlib.posix.relative(pathlib.posix.dirname(pageFile), '/') || '.';
+        const html = template(docPath, sanitize(rewriteLinks(String(text), docPath)), rootURL);
+
+        const fullPath = pathlib.join(outputPath, pageFile);
+        await mkdirp(pathlib.dirname(fullPath));
+        await fs.promises.writeFile(fullPath, html, 'utf8');
+        files.push(pageFile.slice(1));
+    }
+
+    const cssPath = pathlib.join(__dirname, '../dist/viewer.css');
+    if (template === defaultTemplate && fs.existsSync(cssPath)) {
+        await mkdirp(outputPath);
+        await fs.promises.copyFile(cssPath, pathlib.join(outputPath, 'viewer.css'));
+    }
+
+    return files;
+}
+
+
+
+// Removes scripts and other dangerous content from an HTML text. The
+// DOMPurify instance is created on first use, since it needs a DOM window.
+let DOMPurify = null;
+function sanitize (html) {
+    if (DOMPurify === null) DOMPurify = createDOMPurify(new JSDOM('').window);
+    return DOMPurify.sanitize(html);
+}
+
+
+// Yields the path of all the documents contained in the given directory and
+// in its sub-directories, including the directory documents.
+async function* walk (store, dirPath) {
+    yield dirPath;
+    for (let entry of await store.list(dirPath)) {
+        if (entry === "" || entry === "/") continue;    // the directory document
+        const entryPath = pathlib.posix.join(dirPath, entry);
+        if (isDirectory(entry)) {
+            yield* walk(store, entryPath);
+        } else {
+            yield entryPath;
+        }
+    }
+}
+
+
+// Returns the path of the HTML file rendering the given document
+function getPageFile (docPath) {
+    return isDirectory(docPath) ? `${docPath}index.html` : `${docPath}.html`;
+}
+
+
+// Rewrites the links to documents so that they point to the exported pages
+function rewriteLinks (html, docPath) {
+    const baseDir = pathlib.posix.dirname(getPageFile(docPath));
+    return html.replace(/(\shref\s*=\s*)(["'])(.*?)\2/g, (match, prefix, quote, url) => {
+        const targetId = getTargetId(url, docPath);
+        if (targetId === null) return match;
+        const [id, fragment] = splitFragment(targetId);
+        const {path} = Store.parseId(id);
+        const relativeURL = pathlib.posix.relative(baseDir, getPageFile(path));
+        return `${prefix}${quote}${relativeURL}${fragment}${quote}`;
+    });
+}
+
+
+// Returns the absolute id of the document the given url refers to, or null if
+// the url doesn't refer to a document.
+function getTargetId (url, docPath) {
+    if (url.slice(0, 2) === '#/') {
+        return url.slice(1);
+    }
+    if (url.slice(0, 2) === './' || url.slice(0, 3) === '../') {
+        const [id, fragment] = splitFragment(url);
+        const path = id.split('?')[0];
+        if (/\.[a-zA-Z0-9]+$/.test(path)) return null;
+        const baseDir = isDirectory(docPath) ? docPath : pathlib.posix.dirname(docPath);
+        const resolvedPath = pathlib.posix.resolve(baseDir, path) + (isDirectory(path) ? '/' : '');
+        return resolvedPath.replace(/\/+$/, '/') + fragment;
+    }
+    return null;
+}
+
+
+// Splits an url into the part preceding the `#` fragment and the fragment
+function splitFragment (url) {
+    const index = url.indexOf('#');
+    return index === -1 ? [url, ""] : [url.slice(0, index), url.slice(index)];
+}
+
+
+// Wraps the rendered document in an HTML page
+function defaultTemplate (docPath, text, rootURL) {
+    return `<!DOCTYPE html>
+<html>
+    <head>
+        <meta charset="utf-8">
+        <title>${docPath}</title>
+        <link rel="stylesheet" href="${rootURL}/viewer.css">
+    </head>
+    <body>
+        <div class="olo-viewer">${text}</div>
+    </body>
+</html>
+`;
+}
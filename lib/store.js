@@ -1,6 +1,7 @@
 const pathlib = require('path');
 const isDirectory = path => path.slice(-1) === '/';
 const document = require('./document');
+const hash = require('./hash');
 
 const isValidName = name => typeof name === 'string' && /^[a-z_A-Z]+[a-z_A-Z0-9]*$/.test(name);
 
@@ -19,13 +20,22 @@ const isValidName = name => typeof name === 'string' && /^[a-z_A-Z]+[a-z_A-Z0-9]
  *  class ChildStore extends Store {
  *      async read (path) { ... }
  *      async list (path) { ... }
- *      async write (path, source) { ... }
+ *      async write (path, source, options) { ... }
  *      async delete (path) { ... }
  *      async deleteAll (path) { ... }
+ *      async history (path) { ... }
+ *      async readVersion (path, versionId) { ... }
+ *      watch (path, callback) { ... }
  *  ```
  */
 class Store {
 
+    constructor () {
+        // Maps the path of each evaluated document to the set of the paths
+        // of the documents it imported
+        this._imports = new Map();
+    }
+
     /**
      *  store.read - async method
      *  ------------------------------------------------------------------------
@@ -94,6 +104,7 @@ class Store {
      *  
      *  ```js
      *  await store.write("/path/to/doc", "This is the doc content.");
+     *  await store.write("/path/to/doc", "New doc content.", {ifMatch: version});
      *  ```
      *  
      *  Every implmenentation of this method should behave according to the
@@ -101,6 +112,9 @@ class Store {
      *  
      *  - After calling this method on `path`, then `store.read(path)` should
      *    return the new source.
+     *  - If `options.ifMatch` is defined, the document should be modified only
+     *    if `Store.versionOf(currentSource)` equals `options.ifMatch`,
+     *    otherwise it should throw `Store.ConflictError`.
      *  - It should throw `Store.WritePermissionDeniedError` if the store
      *    instance has no write permission on the given path.
      *  - It should throw `Store.WriteOperationNotAllowedError` if the store
@@ -109,7 +123,7 @@ class Store {
      *  When instantiated directly, the base store `write` method always throws
      *  `Store.WriteOperationNotAllowedError`.
      */
-    async write (path, source) {
+    async write (path, source, options={}) {
         throw new this.constructor.WriteOperationNotAllowedError(this.normalizePath(path));
     }
 
@@ -170,6 +184,137 @@ class Store {
     }
 
 
+    /**
+     *  store.history - async method
+     *  ------------------------------------------------------------------------
+     *  Returns the list of the recorded versions of the document at the given
+     *  path, from the oldest to the most recent.
+     *
+     *  ```js
+     *  versions = await store.history("/path/to/doc");
+     *  ```
+     *
+     *  Every implmenentation of this method should behave according to the
+     *  following standard:
+     *
+     *  - It should return an array of `{id, date}` objects, where `id` is the
+     *    version identifier to be passed to `store.readVersion` and `date` is
+     *    the `Date` in which the version was recorded.
+     *  - A version should be recorded every time the document is modified via
+     *    `store.write`, `store.delete` or `store.deleteAll`; a deletion is
+     *    recorded as a version with empty source.
+     *  - It should throw `Store.ReadPermissionDeniedError` if the store
+     *    instance has no read permission on the given path.
+     *
+     *  When instantiated directly, the base store `history` method returns
+     *  always an empty array.
+     */
+    async history (path) {
+        return [];
+    }
+
+
+    /**
+     *  store.readVersion - async method
+     *  ------------------------------------------------------------------------
+     *  Returns the source of a given version of the document at the given
+     *  path.
+     *
+     *  ```js
+     *  source = await store.readVersion("/path/to/doc", versionId);
+     *  ```
+     *
+     *  Every implmenentation of this method should behave according to the
+     *  following standard:
+     *
+     *  - It should return a string
+     *  - It should return an empty string if the version doesn't exist
+     *  - It should throw `Store.ReadPermissionDeniedError` if the store
+     *    instance has no read permission on the given path.
+     *
+     *  When instantiated directly, the base store `readVersion` method returns
+     *  always an empty string.
+     */
+    async readVersion (path, versionId) {
+        return "";
+    }
+
+
+    /**
+     *  store.revert - async method
+     *  ------------------------------------------------------------------------
+     *  Restores a previous version of the document at the given path.
+     *
+     *  ```js
+     *  await store.revert("/path/to/doc", versionId);
+     *  ```
+     *
+     *  The reverted source is obtained via `store.readVersion` and written
+     *  back via `store.write`, therefore the revert operation itself is
+     *  recorded as a new version and it throws the same errors thrown by
+     *  the `write` method.
+     *
+     *  The `revert` method is not meant to be overridden.
+     */
+    async revert (path, versionId) {
+        const source = await this.readVersion(path, versionId);
+        await this.write(path, source);
+    }
+
+
+    /**
+     *  store.watch - method
+     *  ------------------------------------------------------------------------
+     *  Registers a callback that gets called every time a document changes.
+     *
+     *  ```js
+     *  unwatch = store.watch("/path/to/", change => { ... });
+     *  ```
+     *
+     *  Every implmenentation of this method should behave according to the
+     *  following standard:
+     *
+     *  - The `callback` should be called with a `{type, path}` change object
+     *    every time a document is modified, where `type` is either `"write"`
+     *    or `"delete"` and `path` is the full path of the modified document.
+     *  - If the watched path is a document path (e.g. `/path/to/doc`), only
+     *    the changes to that document should be notified; if it is a
+     *    directory path (e.g. `/path/to/`), the changes to all the documents
+     *    whose path starts with it should be notified.
+     *  - It should return an `unwatch` function that, once called, stops the
+     *    notifications.
+     *  - It should throw `Store.ReadPermissionDeniedError` if the store
+     *    instance has no read permission on the given path.
+     *
+     *  When instantiated directly, the base store `watch` method never calls
+     *  the callback, since the base store never changes.
+     */
+    watch (path, callback) {
+        return () => {};
+    }
+
+
+    /**
+     *  store.getDelimiters - method
+     *  ------------------------------------------------------------------------
+     *  Returns the pair of strings delimiting the inline expressions of the
+     *  document at the given path.
+     *
+     *  ```js
+     *  [open, close] = store.getDelimiters("/path/to/doc");
+     *  ```
+     *
+     *  The delimiters are used to parse the documents loaded via `store.load`
+     *  and imported via `context.import`. When instantiated directly, the base
+     *  store `getDelimiters` method returns `store.delimiters` if defined,
+     *  otherwise `document.DEFAULT_DELIMITERS` (`["<%", "%>"]`). Stores
+     *  containing other stores delegate to the store containing the document.
+     */
+    getDelimiters (path) {
+        return this.delimiters || document.DEFAULT_DELIMITERS;
+    }
+
+
     /**
      *  store.createContext - method
      *  ------------------------------------------------------------------------
@@ -188,7 +333,21 @@ class Store {
      *    the `argns` namespace will be `{x:10, y:20, z:30}`.
      *  - `context.import` is a function that returns a store document namespace
      *    given its id. If the path portion of the id is a relative path, it
-     *    will be resolved agains `context.__path__`.
+     *    will be resolved agains `context.__path__`. When `__path__` has a
+     *    URI scheme (e.g. `file:/path/to/doc`), both relative and absolute
+     *    paths are resolved within that scheme, while ids with their own
+     *    scheme (e.g. `http://host/doc?x=1`) are imported as they are.
+     *    Importing, with the same `argns`, the document being loaded or a
+     *    document that is importing the current one, directly or indirectly,
+     *    fails with a `Store.CircularImportError`; importing the same document
+     *    with different `argns` (e.g. a recursion) is allowed.
+     *    If the id ends with a `#name` fragment identifier (e.g.
+     *    `/path/to/doc?x=10#card`), only the value mapped to `name` in the
+     *    document namespace is returned; typically, `name` is a named
+     *    fragment defined in the document with a `<def:name ...>` block.
+     *  - `context.importMeta` is a function that returns the front matter
+     *    metadata of a store document given its id, without evaluating the
+     *    document; relative ids are resolved like in `context.import`.
      *  
      *  The `createContext` method is not meant to be overridden.
      */
@@ -204,40 +363,185 @@ class Store {
      *  Reads, evaluates and renders the document identified by the passed id.
      *
      *  ```js
-     *  {source, context, namespace, text} = await store.load(docId);
+     *  {source, context, namespace, text} = await store.load(docId, options);
      *  ```
      *
      *  - `docId` is a combination of a path and a query string (e.g.
      *    `/path/to/doc?x=10;y=20;z=30`)
+     *  - `options` are passed to [document.parse](./document.md), via the
+     *    shared `document.compileCache`; in
+     *    particular, if `options.strict` is true, a failing inline
+     *    expression will cause `load` to reject with a
+     *    `DocumentEvaluationError`; `options.delimiters` defaults to
+     *    `store.getDelimiters(path)`
      *  - `source` is the document source returned by `store.read`
      *  - `context` is the document context returned by `store.createContext`
      *  - `namespace` is the document namespace evaluated in `context`
      *  - `text` is the document rendered content
+     *
+     *  If the document defines a `__layout__` name mapped to a document id
+     *  (e.g. `<% __layout__ = "/layouts/page" %>`), the `text` is obtained by
+     *  evaluating the layout document in a context containing the following
+     *  additional names:
+     *
+     *  - `content`: the text rendered by the document
+     *  - `page`: the document namespace
+     *
+     *  For example, the layout `<h1><% page.title %></h1><% content %>` wraps
+     *  the content of each document with a heading showing its `title`.
+     *  Relative layout ids are resolved against the document path and a
+     *  layout can in turn define its own `__layout__`. The layouts are
+     *  recorded as dependencies of the document (see `store.dependencies`) and
+     *  a layout chain containing a loop fails with a
+     *  `Store.CircularImportError`.
      *  
      *  The `load` method is not meant to be overridden.
      */
-    async load (docId) {
+    async load (docId, options={}) {
         const doc = {};
         doc.context = this.createContext(docId);
+        doc.context.$importChain = [chainId(doc.context)];
         doc.source = await this.read(doc.context.__path__);
-        const evaluate = document.parse(doc.source);
+        const evaluate = document.compileCache.parse(doc.source, Object.assign({
+            delimiters: this.getDelimiters(doc.context.__path__)
+        }, options));
+        this._imports.set(doc.context.__path__, new Set());
         doc.namespace = await evaluate(doc.context);
         doc.text = await doc.context.str(doc.namespace);
+
+        // Render the document layouts
+        const layoutChain = [doc.context.__path__];
+        let namespace = doc.namespace, path = doc.context.__path__;
+        while (typeof namespace.__layout__ === 'string' && namespace.__layout__ !== "") {
+            const layoutContext = this.createContext(resolveId(path, namespace.__layout__));
+            const layoutPath = layoutContext.__path__;
+            this._imports.get(doc.context.__path__).add(layoutPath);
+            if (layoutChain.indexOf(layoutPath) !== -1) {
+                throw new Store.CircularImportError(layoutChain.concat(layoutPath));
+            }
+            layoutChain.push(layoutPath);
+
+            const layoutSource = await this.read(layoutPath);
+            const evaluateLayout = document.compileCache.parse(layoutSource, Object.assign({
+                delimiters: this.getDelimiters(layoutPath)
+            }, options));
+            layoutContext.content = doc.text;
+            layoutContext.page = namespace;
+            this._imports.set(layoutPath, new Set());
+            namespace = await evaluateLayout(layoutContext);
+            doc.text = await layoutContext.str(namespace);
+            path = layoutPath;
+        }
+
         return doc;
     }
 
 
+    /**
+     *  store.readMeta - async method
+     *  ------------------------------------------------------------------------
+     *  Returns the metadata defined in the front matter of the document
+     *  at the given path, without evaluating the document.
+     *
+     *  ```js
+     *  meta = await store.readMeta("/path/to/doc");
+     *  ```
+     *
+     *  The document source is obtained via `store.read` and parsed with
+     *  [document.parseMeta](./document.md). The documents can read the
+     *  metadata of other documents via the `importMeta(docId)` context
+     *  function, which resolves relative ids like `import`.
+     *
+     *  The `readMeta` method is not meant to be overridden.
+     */
+    async readMeta (path) {
+        const source = await this.read(path);
+        return document.parseMeta(source);
+    }
+
+
+    /**
+     *  store.dependencies - method
+     *  ------------------------------------------------------------------------
+     *  Returns the paths of the documents imported, directly or indirectly,
+     *  by the given document.
+     *
+     *  ```js
+     *  paths = store.dependencies("/path/to/doc");
+     *  ```
+     *
+     *  The imports are recorded while the documents get evaluated via
+     *  `store.load` and `context.import`, therefore the dependencies of a
+     *  document are known only after it has been loaded or imported and they
+     *  reflect its last evaluation. The query part of `docId`, if any, is
+     *  ignored.
+     *
+     *  The `dependencies` method is not meant to be overridden.
+     */
+    dependencies (docId) {
+        const {path} = this.constructor.parseId(docId);
+        return walkGraph(this._imports, path);
+    }
+
+
+    /**
+     *  store.dependents - method
+     *  ------------------------------------------------------------------------
+     *  Returns the paths of the documents that import, directly or
+     *  indirectly, the given document.
+     *
+     *  ```js
+     *  paths = store.dependents("/tools/tags");
+     *  ```
+     *
+     *  As for `store.dependencies`, only the imports recorded while
+     *  evaluating the documents are taken into account. Combined with
+     *  `store.watch`, it tells which rendered documents become stale when a
+     *  document changes:
+     *
+     *  ```js
+     *  store.watch("/", change => {
+     *      const stalePaths = [change.path, ...store.dependents(change.path)];
+     *      ...
+     *  });
+     *  ```
+     *
+     *  The `dependents` method is not meant to be overridden.
+     */
+    dependents (path) {
+        const importers = new Map();
+        for (let [importer, importedPaths] of this._imports) {
+            for (let importedPath of importedPaths) {
+                if (!importers.has(importedPath)) importers.set(importedPath, new Set());
+                importers.get(importedPath).add(importer);
+            }
+        }
+        return walkGraph(importers, this.constructor.parseId(path).path);
+    }
+
+
     normalizePath (path) {
         return pathlib.normalize(`/${path}`);
     }
+
+    // Returns true if a change to the document at `path` should be notified
+    // to the callbacks watching `watchedPath`
+    isWatchedPath (path, watchedPath) {
+        const normPath = this.normalizePath(path);
+        const normWatchedPath = this.normalizePath(watchedPath);
+        return isDirectory(normWatchedPath) ?
+                normPath.indexOf(normWatchedPath) === 0 :
+                normPath === normWatchedPath;
+    }
 }
 
 
 const DocumentContext = (store, path, argns) => document.createContext({
         
-    __path__ : path,
-    argns    : argns,
-    $cache   : new Map(),
+    __path__     : path,
+    argns        : argns,
+    $cache       : new Map(),
+    $importChain : [],
 
     __read__ (path) {
         const fullPath = pathlib.resolve(this.__path__, path);
@@ -250,21 +554,46 @@ const DocumentContext = (store, path, argns) => document.createContext({
     },
     
     __parse__ (source) {
-        const evaluate = document.parse(source);
+        const evaluate = document.compileCache.parse(source, {delimiters: store.getDelimiters(this.__path__)});
         return presets => evaluate(this.$extend(presets));
     },
     
     async import (docId) {
-        const targetId = resolveId(this.__path__, docId);
+        const [id, fragment] = splitFragment(docId);
+        const targetId = resolveId(this.__path__, id);
         const targetContext = store.createContext(targetId);
         const targetPath = targetContext.__path__;
+
+        // Record the dependency
+        if (!store._imports.has(this.__path__)) store._imports.set(this.__path__, new Set());
+        store._imports.get(this.__path__).add(targetPath);
+
+        // Detect import cycles: `$importChain` lists the ids of the documents
+        // being evaluated in order to evaluate the current one; the same
+        // document imported with different `argns` (e.g. a recursion) is
+        // not a cycle
+        const targetChainId = chainId(targetContext);
+        const cycleStart = this.$importChain.indexOf(targetChainId);
+        if (cycleStart !== -1) {
+            throw new Store.CircularImportError(this.$importChain.slice(cycleStart).concat(targetChainId));
+        }
+        targetContext.$importChain = this.$importChain.concat(targetChainId);
+
         if (!this.$cache.has(targetPath)) {
             const source = await store.read(targetPath);
-            const evaluate = document.parse(source);
+            const evaluate = document.compileCache.parse(source, {delimiters: store.getDelimiters(targetPath)});
             this.$cache.set(targetPath, [source, evaluate]);
         }
         const [targetSource, evaluateTarget] = this.$cache.get(targetPath);
-        return await evaluateTarget(targetContext);
+        store._imports.set(targetPath, new Set());
+        const targetNamespace = await evaluateTarget(targetContext);
+        return fragment ? targetNamespace[fragment] : targetNamespace;
+    },
+
+    async importMeta (docId) {
+        const targetId = resolveId(this.__path__, splitFragment(docId)[0]);
+        const targetPath = store.createContext(targetId).__path__;
+        return await store.readMeta(targetPath);
     }
 });
 
@@ -284,6 +613,21 @@ Store.parseId = id => {
 }
 
 
+/**
+ *  Store.versionOf - function
+ *  ----------------------------------------------------------------------------
+ *  Returns a string identifying the given document source. It is the value
+ *  to be passed as `ifMatch` option to `store.write` in order to modify a
+ *  document only if it didn't change since it was read.
+ *
+ *  ```js
+ *  source = await store.read('/path/to/doc');
+ *  await store.write('/path/to/doc', newSource, {ifMatch: Store.versionOf(source)});
+ *  ```
+ */
+Store.versionOf = source => hash(String(source));
+
+
 // Given a list of argument ['par1=val1', 'par2=val2', 'par3=val3', ...],
 // converts it to an object ontaining the ke-value pair contained in the list
 function parseParameters (...keyValuePairs) {
@@ -409,16 +753,111 @@ Store.WriteOperationNotAllowedError = class extends Store.OperationNotAllowedErr
 
 
 
+/**
+ *  Store.ConflictError - class
+ *  ----------------------------------------------------------------------------
+ *  Error thrown when attempting to modify a document whose version doesn't
+ *  match the `ifMatch` option passed to `store.write`.
+ *
+ *  ```js
+ *  throw new Store.ConflictError('/path/to/doc');
+ *  ```
+ */
+Store.ConflictError = class extends Store.Error {
+
+    constructor (path) {
+        super(`Version conflict: WRITE ${path}`);
+    }
+}
+
+
+
+/**
+ *  Store.CircularImportError - class
+ *  ----------------------------------------------------------------------------
+ *  Error thrown by `context.import` when a document imports, directly or
+ *  indirectly, one of the documents that are importing it.
+ *
+ *  ```js
+ *  throw new Store.CircularImportError(['/a', '/b', '/a']);
+ *  ```
+ *
+ *  The `cycle` property of the error contains the list of the paths forming
+ *  the cycle; for example, if `/a` imports `/b` and `/b` imports `/a`, the
+ *  error message is `Circular import: /a -> /b -> /a`. Since the error is
+ *  thrown inside an inline expression, it renders as a failure value and it
+ *  is listed in the `__errors__` array of the importing document.
+ */
+Store.CircularImportError = class extends Store.Error {
+
+    constructor (cycle) {
+        super(`Circular import: ${cycle.join(' -> ')}`);
+        this.cycle = cycle;
+    }
+}
+
+
+
 module.exports = Store;
 
 
+// Returns the list of the nodes reachable from the `start` node of a graph
+// represented as a map of node => set of adjacent nodes, in breadth-first
+// order and excluding the `start` node itself.
+function walkGraph (graph, start) {
+    const visited = new Set([start]);
+    const queue = [start];
+    while (queue.length > 0) {
+        for (let node of graph.get(queue.shift()) || []) {
+            if (!visited.has(node)) {
+                visited.add(node);
+                queue.push(node);
+            }
+        }
+    }
+    visited.delete(start);
+    return Array.from(visited);
+}
+
+
+// Splits a document id into the part preceding the `#` fragment and the
+// fragment name.
+function splitFragment (docId) {
+    const index = docId.indexOf('#');
+    return index === -1 ? [docId, ""] : [docId.slice(0, index), docId.slice(index+1)];
+}
+
+
+// Returns the id identifying the evaluation of a document context in an
+// import chain: the document path followed by the `argns` sorted by name.
+function chainId (context) {
+    const params = Object.keys(context.argns).sort().map(name => {
+        const value = context.argns[name];
+        return value === true ? name : `${name}=${value}`;
+    });
+    return params.length > 0 ? `${context.__path__}?${params.join('&')}` : context.__path__;
+}
+
+
+// Resolves a document id against the path of the importing document.
+// Ids starting with a URI scheme (e.g. `http://host/doc` or `file:/doc`) are
+// absolute; other ids are resolved within the URI scheme of the base path,
+// if any. The query string of the id is preserved.
 function resolveId (basePath, relativeId) {
     const relativePath = relativeId.split('?')[0];
     const query = relativeId.slice(relativePath.length);
+    if (URI_SCHEME_RE.test(relativePath)) {
+        return relativeId;
+    }
+    const schemeMatch = basePath.match(URI_SCHEME_RE);
+    const scheme = schemeMatch ? schemeMatch[0] : "";
+    basePath = pathlib.normalize(`/${basePath.slice(scheme.length)}`);
     if (relativePath[0] === '/') {
-        return pathlib.normalize(relativePath) + query;
+        return scheme + pathlib.normalize(relativePath) + query;
     } else {
         const baseDirPath = basePath.slice(-1) === '/' ? basePath : pathlib.resolve(basePath, '..');
-        return pathlib.join(baseDirPath, relativePath) + query;
+        return scheme + pathlib.join(baseDirPath, relativePath) + query;
     }
 }
+
+const URI_SCHEME_RE = /^[a-zA-Z][a-zA-Z0-9+.-]*:/;
@@ -32,19 +32,36 @@ const DOMPurify = require("dompurify");
  *  as `innerHTML` in the host element.
  *  
  *  Every time the `src` attribute changes, the host element content will be
- *  automatically updated. 
+ *  automatically updated. Furthermore, the viewer watches the document via
+ *  `store.watch` and updates the host element content every time the
+ *  document changes in the store. If the document fails to load (e.g. on
+ *  network errors or denied permissions), the error message is shown in
+ *  the host element.
  *  
  *  The Viewer constructor returns the [MutationObserver](https://developer.mozilla.org/en-US/docs/Web/API/MutationObserver)
  *  used to react to `src` attribute changes.
  */
 module.exports = function (element, store) {
     
+    let unwatch = () => {};
+    
+    const render = async (target, docId) => {
+        try {
+            const {text} = await store.load(docId);
+            target.innerHTML = DOMPurify.sanitize(text);
+        } catch (error) {
+            target.textContent = `Failed to load ${docId}: ${error.message}`;
+        }
+    }
+    
     const observer = new MutationObserver(async mutations => {
         for (let mutation of mutations) {
             if (mutation.type === "attributes" && mutation.attributeName === "src") {
                 const docId = mutation.target.getAttribute('src');
-                const {text} = await store.load(docId);
-                mutation.target.innerHTML = DOMPurify.sanitize(text);
+                const {path} = store.constructor.parseId(docId);
+                unwatch();
+                unwatch = store.watch(path, () => render(mutation.target, docId));
+                await render(mutation.target, docId);
             }
         }
     });
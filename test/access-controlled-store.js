@@ -0,0 +1,175 @@
+var expect = require("chai").expect;
+var Store = require('../lib/store');
+var MemoryStore = require('../lib/memory-store');
+var Router = require('../lib/router');
+var AccessControlledStore = require('../lib/access-controlled-store');
+
+
+
+describe("AccessControlledStore", () => {
+
+    var rules = {
+        "/"             : "rw",
+        "/templates/"   : "r",
+        "/inbox/"       : "w",
+        "/secret/"      : "",
+    };
+
+    var createStore = () => new MemoryStore({
+        "/doc": "doc @ /",
+        "/templates/doc": "doc @ /templates/",
+        "/inbox/doc": "doc @ /inbox/",
+        "/secret/doc": "doc @ /secret/",
+    });
+
+    var expectError = async (promise, ErrorClass, message) => {
+        try {
+            await promise;
+            throw new Error("It didn't throw");
+        } catch (error) {
+            expect(error).to.be.instanceof(ErrorClass);
+            expect(error.message).to.equal(message);
+        }
+    }
+
+    describe("source = await acStore.read(path)", () => {
+
+        it("should delegate to the wrapped store if the read operations are allowed", async () => {
+            var acStore = new AccessControlledStore(createStore(), rules);
+            expect(await acStore.read("/doc")).to.equal("doc @ /");
+            expect(await acStore.read("/templates/doc")).to.equal("doc @ /templates/");
+            expect(await acStore.read("/secret/../doc")).to.equal("doc @ /");
+        });
+
+        it("should throw a ReadPermissionDeniedError if the read operations are not allowed", async () => {
+            var acStore = new AccessControlledStore(createStore(), rules);
+            await expectError(acStore.read("/inbox/doc"), Store.ReadPermissionDeniedError, "Permission denied: READ /inbox/doc");
+            await expectError(acStore.read("/secret"), Store.ReadPermissionDeniedError, "Permission denied: READ /secret");
+        });
+
+        it("should not restrict the paths not matching any rule", async () => {
+            var acStore = new AccessControlledStore(createStore(), {"/secret/": ""});
+            expect(await acStore.read("/doc")).to.equal("doc @ /");
+        });
+    });
+
+    describe("entries = await acStore.list(path)", () => {
+
+        it("should delegate to the wrapped store if the read operations are allowed", async () => {
+            var acStore = new AccessControlledStore(createStore(), rules);
+            expect(await acStore.list("/templates/")).to.deep.equal(["doc"]);
+        });
+
+        it("should throw a ReadPermissionDeniedError if the read operations are not allowed", async () => {
+            var acStore = new AccessControlledStore(createStore(), rules);
+            await expectError(acStore.list("/secret/"), Store.ReadPermissionDeniedError, "Permission denied: READ /secret/");
+        });
+    });
+
+    describe("await acStore.write(path, source)", () => {
+
+        it("should delegate to the wrapped store if the write operations are allowed", async () => {
+            var store = createStore();
+            var acStore = new AccessControlledStore(store, rules);
+            await acStore.write("/inbox/doc", "new doc @ /inbox/");
+            expect(await store.read("/inbox/doc")).to.equal("new doc @ /inbox/");
+        });
+
+        it("should throw a WriteOperationNotAllowedError if the write operations are not allowed", async () => {
+            var store = createStore();
+            var acStore = new AccessControlledStore(store, rules);
+            await expectError(acStore.write("/templates/doc", "..."), Store.WriteOperationNotAllowedError, "Operation not allowed: WRITE /templates/doc");
+            expect(await store.read("/templates/doc")).to.equal("doc @ /templates/");
+        });
+    });
+
+    describe("await acStore.delete(path)", () => {
+
+        it("should delegate to the wrapped store if the write operations are allowed", async () => {
+            var store = createStore();
+            await new AccessControlledStore(store, rules).delete("/doc");
+            expect(await store.read("/doc")).to.equal("");
+        });
+
+        it("should throw a WriteOperationNotAllowedError if the write operations are not allowed", async () => {
+            var store = createStore();
+            var acStore = new AccessControlledStore(store, rules);
+            await expectError(acStore.delete("/secret/doc"), Store.WriteOperationNotAllowedError, "Operation not allowed: WRITE /secret/doc");
+            expect(await store.read("/secret/doc")).to.equal("doc @ /secret/");
+        });
+    });
+
+    describe("await acStore.deleteAll(path)", () => {
+
+        it("should delegate to the wrapped store if the write operations are allowed", async () => {
+            var store = createStore();
+            await new AccessControlledStore(store, rules).deleteAll("/inbox/");
+            expect(await store.read("/inbox/doc")).to.equal("");
+        });
+
+        it("should throw a WriteOperationNotAllowedError if the write operations are not allowed on any of the sub-paths", async () => {
+            var store = createStore();
+            var acStore = new AccessControlledStore(store, rules);
+            await expectError(acStore.deleteAll("/"), Store.WriteOperationNotAllowedError, "Operation not allowed: WRITE /templates/");
+            expect(await store.read("/doc")).to.equal("doc @ /");
+        });
+    });
+
+    describe("versions = await acStore.history(path)", () => {
+
+        it("should be allowed only if the read operations are allowed", async () => {
+            var acStore = new AccessControlledStore(createStore(), rules);
+            expect((await acStore.history("/templates/doc")).length).to.equal(1);
+            await expectError(acStore.history("/secret/doc"), Store.ReadPermissionDeniedError, "Permission denied: READ /secret/doc");
+        });
+    });
+
+    describe("source = await acStore.readVersion(path, versionId)", () => {
+
+        it("should be allowed only if the read operations are allowed", async () => {
+            var acStore = new AccessControlledStore(createStore(), rules);
+            expect(await acStore.readVersion("/templates/doc", 1)).to.equal("doc @ /templates/");
+            await expectError(acStore.readVersion("/secret/doc", 1), Store.ReadPermissionDeniedError, "Permission denied: READ /secret/doc");
+        });
+    });
+
+    describe("await acStore.revert(path, versionId)", () => {
+
+        it("should throw a WriteOperationNotAllowedError if the write operations are not allowed", async () => {
+            var acStore = new AccessControlledStore(createStore(), rules);
+            await expectError(acStore.revert("/templates/doc", 1), Store.WriteOperationNotAllowedError, "Operation not allowed: WRITE /templates/doc");
+        });
+    });
+
+    describe("unwatch = acStore.watch(path, callback)", () => {
+
+        it("should throw a ReadPermissionDeniedError if the read operations are not allowed", () => {
+            var acStore = new AccessControlledStore(createStore(), rules);
+            expect(() => acStore.watch("/secret/", change => {})).to.throw(Store.ReadPermissionDeniedError);
+        });
+
+        it("should notify only the changes to readable documents", async () => {
+            var store = createStore();
+            var changes = [];
+            var unwatch = new AccessControlledStore(store, rules).watch("/", change => changes.push(change));
+            await store.write("/templates/doc", "...");
+            await store.write("/secret/doc", "...");
+            unwatch();
+            expect(changes).to.deep.equal([{type:"write", path:"/templates/doc"}]);
+        });
+    });
+
+    describe("when mounted in a router", () => {
+
+        it("should restrict the access to the mounted store only", async () => {
+            var router = new Router({
+                "/": new MemoryStore({"/doc": "home doc"}),
+                "/templates/": new AccessControlledStore(new MemoryStore({"/tpl": "template"}), {"/": "r"})
+            });
+            await router.write("/doc", "modified home doc");
+            expect(await router.read("/doc")).to.equal("modified home doc");
+            expect(await router.read("/templates/tpl")).to.equal("template");
+            await expectError(router.write("/templates/tpl", "..."), Store.WriteOperationNotAllowedError, "Operation not allowed: WRITE /tpl");
+        });
+    });
+});
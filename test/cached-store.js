@@ -0,0 +1,228 @@
+var expect = require("chai").expect;
+var MemoryStore = require('../lib/memory-store');
+var CachedStore = require('../lib/cached-store');
+
+
+
+describe("CachedStore", () => {
+
+    // MemoryStore counting the calls to read and list
+    class CountingStore extends MemoryStore {
+        constructor (docs) {
+            super(docs);
+            this.reads = 0;
+            this.lists = 0;
+        }
+        async read (path) {
+            this.reads += 1;
+            return await super.read(path);
+        }
+        async list (path) {
+            this.lists += 1;
+            return await super.list(path);
+        }
+    }
+
+    var createStore = () => new CountingStore({
+        "/doc": "doc @ /",
+        "/dir/doc1": "doc1 @ /dir/",
+        "/dir/doc2": "doc2 @ /dir/",
+        "/dir/subdir/doc3": "doc3 @ /dir/subdir/",
+    });
+
+    var wait = time => new Promise(resolve => setTimeout(resolve, time));
+
+    describe("source = await cachedStore.read(path)", () => {
+
+        it("should return the source read from the wrapped store", async () => {
+            var cachedStore = new CachedStore(createStore());
+            expect(await cachedStore.read("/doc")).to.equal("doc @ /");
+            expect(await cachedStore.read("/dir/../dir/doc1")).to.equal("doc1 @ /dir/");
+        });
+
+        it("should read each document from the wrapped store only once", async () => {
+            var store = createStore();
+            var cachedStore = new CachedStore(store);
+            await cachedStore.read("/doc");
+            await cachedStore.read("/doc");
+            await cachedStore.read("/dir/../doc");
+            expect(store.reads).to.equal(1);
+            await cachedStore.read("/dir/doc1");
+            expect(store.reads).to.equal(2);
+        });
+
+        it("should share the same request among concurrent calls", async () => {
+            var store = createStore();
+            var cachedStore = new CachedStore(store);
+            await Promise.all([cachedStore.read("/doc"), cachedStore.read("/doc")]);
+            expect(store.reads).to.equal(1);
+        });
+
+        it("should not cache the errors", async () => {
+            var store = createStore();
+            var fail = true;
+            store.read = async path => {
+                if (fail) throw new Error("Read failed");
+                return "doc";
+            };
+            var cachedStore = new CachedStore(store);
+            try {
+                await cachedStore.read("/doc");
+                throw new Error("It didn't throw");
+            } catch (error) {
+                expect(error.message).to.equal("Read failed");
+            }
+            fail = false;
+            expect(await cachedStore.read("/doc")).to.equal("doc");
+        });
+
+        it("should re-read the document from the wrapped store after `ttl` milliseconds", async () => {
+            var store = createStore();
+            var cachedStore = new CachedStore(store, {ttl: 50});
+            await cachedStore.read("/doc");
+            await cachedStore.read("/doc");
+            expect(store.reads).to.equal(1);
+            await wait(60);
+            await cachedStore.read("/doc");
+            expect(store.reads).to.equal(2);
+        });
+
+        it("should hold at most `maxSize` entries, dropping the least recently used", async () => {
+            var store = createStore();
+            var cachedStore = new CachedStore(store, {maxSize: 2});
+            await cachedStore.read("/doc");
+            await cachedStore.read("/dir/doc1");
+            await cachedStore.read("/doc");
+            await cachedStore.read("/dir/doc2");
+            expect(store.reads).to.equal(3);
+            await cachedStore.read("/doc");
+            expect(store.reads).to.equal(3);
+            await cachedStore.read("/dir/doc1");
+            expect(store.reads).to.equal(4);
+        });
+    });
+
+    describe("entries = await cachedStore.list(path)", () => {
+
+        it("should return the entries listed by the wrapped store", async () => {
+            var cachedStore = new CachedStore(createStore());
+            expect((await cachedStore.list("/dir/")).sort()).to.deep.equal(["doc1", "doc2", "subdir/"]);
+        });
+
+        it("should list each directory from the wrapped store only once", async () => {
+            var store = createStore();
+            var cachedStore = new CachedStore(store);
+            await cachedStore.list("/dir/");
+            await cachedStore.list("/dir");
+            expect(store.lists).to.equal(1);
+        });
+
+        it("should return a copy of the cached entries", async () => {
+            var cachedStore = new CachedStore(createStore());
+            var entries = await cachedStore.list("/dir/");
+            entries.push("xxx");
+            expect(await cachedStore.list("/dir/")).to.not.include("xxx");
+        });
+    });
+
+    describe("await cachedStore.write(path, source)", () => {
+
+        it("should write the document to the wrapped store and invalidate the affected entries", async () => {
+            var store = createStore();
+            var cachedStore = new CachedStore(store);
+            expect(await cachedStore.read("/dir/doc1")).to.equal("doc1 @ /dir/");
+            expect(await cachedStore.list("/dir/")).to.not.include("doc4");
+            expect(await cachedStore.list("/")).to.not.include("doc4");
+            await cachedStore.write("/dir/doc1", "new doc1 @ /dir/");
+            await cachedStore.write("/dir/doc4", "doc4 @ /dir/");
+            expect(await store.read("/dir/doc1")).to.equal("new doc1 @ /dir/");
+            expect(await cachedStore.read("/dir/doc1")).to.equal("new doc1 @ /dir/");
+            expect(await cachedStore.list("/dir/")).to.include("doc4");
+        });
+
+        it("should keep the unaffected entries", async () => {
+            var store = createStore();
+            var cachedStore = new CachedStore(store);
+            await cachedStore.read("/doc");
+            await cachedStore.write("/dir/doc1", "new doc1 @ /dir/");
+            await cachedStore.read("/doc");
+            expect(store.reads).to.equal(1);
+        });
+    });
+
+    describe("await cachedStore.delete(path)", () => {
+
+        it("should delete the document from the wrapped store and invalidate the affected entries", async () => {
+            var cachedStore = new CachedStore(createStore());
+            expect(await cachedStore.read("/dir/doc1")).to.equal("doc1 @ /dir/");
+            expect(await cachedStore.list("/dir/")).to.include("doc1");
+            await cachedStore.delete("/dir/doc1");
+            expect(await cachedStore.read("/dir/doc1")).to.equal("");
+            expect(await cachedStore.list("/dir/")).to.not.include("doc1");
+        });
+    });
+
+    describe("await cachedStore.deleteAll(path)", () => {
+
+        it("should delete the directory from the wrapped store and invalidate the affected entries", async () => {
+            var cachedStore = new CachedStore(createStore());
+            expect(await cachedStore.read("/dir/subdir/doc3")).to.equal("doc3 @ /dir/subdir/");
+            expect(await cachedStore.list("/dir/subdir/")).to.deep.equal(["doc3"]);
+            expect(await cachedStore.list("/")).to.include("dir/");
+            await cachedStore.deleteAll("/dir");
+            expect(await cachedStore.read("/dir/subdir/doc3")).to.equal("");
+            expect(await cachedStore.list("/dir/subdir/")).to.deep.equal([]);
+            expect(await cachedStore.list("/")).to.not.include("dir/");
+        });
+    });
+
+    describe("await cachedStore.revert(path, versionId)", () => {
+
+        it("should revert the document in the wrapped store and invalidate the affected entries", async () => {
+            var cachedStore = new CachedStore(createStore());
+            await cachedStore.write("/doc", "new doc @ /");
+            expect(await cachedStore.read("/doc")).to.equal("new doc @ /");
+            await cachedStore.revert("/doc", 1);
+            expect(await cachedStore.read("/doc")).to.equal("doc @ /");
+        });
+    });
+
+    describe("unwatch = cachedStore.watch(path, callback)", () => {
+
+        it("should invalidate the entries affected by the changes before notifying them", async () => {
+            var store = createStore();
+            var cachedStore = new CachedStore(store);
+            expect(await cachedStore.read("/doc")).to.equal("doc @ /");
+            var sources = [];
+            var unwatch = cachedStore.watch("/", change => sources.push(cachedStore.read(change.path)));
+            await store.write("/doc", "new doc @ /");
+            unwatch();
+            expect(await Promise.all(sources)).to.deep.equal(["new doc @ /"]);
+        });
+    });
+
+    describe("cachedStore.clear()", () => {
+
+        it("should remove all the cached entries", async () => {
+            var store = createStore();
+            var cachedStore = new CachedStore(store);
+            await cachedStore.read("/doc");
+            await store.write("/doc", "new doc @ /");
+            expect(await cachedStore.read("/doc")).to.equal("doc @ /");
+            cachedStore.clear();
+            expect(await cachedStore.read("/doc")).to.equal("new doc @ /");
+        });
+    });
+
+    describe("doc = await cachedStore.load(docId)", () => {
+
+        it("should read the imported documents from the cache", async () => {
+            var store = createStore();
+            await store.write("/index", `<% d1 = import "/dir/doc1" %><% d1 %>`);
+            var cachedStore = new CachedStore(store);
+            expect((await cachedStore.load("/index")).text).to.equal("doc1 @ /dir/");
+            expect((await cachedStore.load("/index")).text).to.equal("doc1 @ /dir/");
+            expect(store.reads).to.equal(2);
+        });
+    });
+});
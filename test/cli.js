@@ -0,0 +1,203 @@
+var expect = require("chai").expect;
+var rimraf = require("rimraf");
+var mkdirp = require("mkdirp");
+var fs = require("fs");
+var stream = require("stream");
+var cli = require("../lib/cli");
+
+var ROOT_PATH = `${__dirname}/cli-store`;
+
+
+
+describe("cli", () => {
+
+    // Runs the cli with the given arguments and returns {exitCode, stdout, stderr}
+    var run = async (argv, stdinText="") => {
+        var stdout = "", stderr = "";
+        var exitCode = await cli.run(argv, {
+            stdin: stream.Readable.from([stdinText]),
+            stdout: {write: text => stdout += text},
+            stderr: {write: text => stderr += text},
+            cwd: ROOT_PATH
+        });
+        return {exitCode, stdout, stderr};
+    }
+
+    beforeEach(() => {
+        rimraf.sync(ROOT_PATH);
+        mkdirp.sync(`${ROOT_PATH}/dir`);
+        fs.writeFileSync(`${ROOT_PATH}/doc.olo`, "<% x = 10 %>x = <% x %>, y = <% argns.y %>", 'utf8');
+        fs.writeFileSync(`${ROOT_PATH}/dir/doc1.olo`, "doc1 @ /dir/", 'utf8');
+        fs.writeFileSync(`${ROOT_PATH}/dir/doc2.olo`, "doc2 @ /dir/", 'utf8');
+    });
+
+    describe("olojs render <docId>", () => {
+
+        it("should print the rendered document", async () => {
+            var {exitCode, stdout} = await run(["render", "/doc?y=20"]);
+            expect(exitCode).to.equal(0);
+            expect(stdout).to.equal("x = 10, y = 20");
+        });
+    });
+
+    describe("olojs read <path>", () => {
+
+        it("should print the document source", async () => {
+            var {exitCode, stdout} = await run(["read", "/dir/doc1"]);
+            expect(exitCode).to.equal(0);
+            expect(stdout).to.equal("doc1 @ /dir/");
+        });
+    });
+
+    describe("olojs write <path> [source]", () => {
+
+        it("should write the given source to the document", async () => {
+            var {exitCode} = await run(["write", "/dir/doc3", "doc3 @ /dir/"]);
+            expect(exitCode).to.equal(0);
+            expect(fs.readFileSync(`${ROOT_PATH}/dir/doc3.olo`, 'utf8')).to.equal("doc3 @ /dir/");
+        });
+
+        it("should read the source from stdin if omitted", async () => {
+            var {exitCode} = await run(["write", "/dir/doc1"], "new doc1 @ /dir/");
+            expect(exitCode).to.equal(0);
+            expect(fs.readFileSync(`${ROOT_PATH}/dir/doc1.olo`, 'utf8')).to.equal("new doc1 @ /dir/");
+        });
+    });
+
+    describe("olojs list <path>", () => {
+
+        it("should print the directory entries, one per line", async () => {
+            var {exitCode, stdout} = await run(["list", "/dir/"]);
+            expect(exitCode).to.equal(0);
+            expect(stdout.split("\n").sort()).to.deep.equal(["", "doc1", "doc2"]);
+        });
+    });
+
+    describe("olojs delete <path>", () => {
+
+        it("should delete the document", async () => {
+            var {exitCode} = await run(["delete", "/dir/doc1"]);
+            expect(exitCode).to.equal(0);
+            expect(fs.existsSync(`${ROOT_PATH}/dir/doc1.olo`)).to.be.false;
+            expect(fs.existsSync(`${ROOT_PATH}/dir/doc2.olo`)).to.be.true;
+        });
+
+        it("should delete all the directory documents if path ends with `/`", async () => {
+            var {exitCode} = await run(["delete", "/dir/"]);
+            expect(exitCode).to.equal(0);
+            expect(fs.existsSync(`${ROOT_PATH}/dir`)).to.be.false;
+        });
+    });
+
+    describe("olojs serve [--port <port>]", () => {
+
+        it("should print the error message and return 1 if the port is in use", async () => {
+            var http = require("http");
+            var server = http.createServer();
+            await new Promise(resolve => server.listen(8031, resolve));
+            try {
+                var {exitCode, stdout, stderr} = await run(["--store", ROOT_PATH, "serve", "--port", "8031"]);
+                expect(exitCode).to.equal(1);
+                expect(stdout).to.equal("");
+                expect(stderr).to.include("EADDRINUSE");
+            } finally {
+                await new Promise(resolve => server.close(resolve));
+            }
+        });
+
+        it("should print the error message and return 1 if the port is not valid", async () => {
+            var {exitCode, stdout, stderr} = await run(["--store", ROOT_PATH, "serve", "--port", "abc"]);
+            expect(exitCode).to.equal(1);
+            expect(stdout).to.equal("");
+            expect(stderr).to.equal("Invalid port: abc\n");
+        });
+    });
+
+    describe("olojs export <outputPath> [path]", () => {
+
+        it("should write the rendered documents as HTML pages", async () => {
+            var {exitCode, stdout} = await run(["export", "../cli-site", "/dir/"]);
+            expect(exitCode).to.equal(0);
+            expect(stdout.split("\n").sort()).to.deep.equal(["", "dir/doc1.html", "dir/doc2.html"]);
+            expect(fs.readFileSync(`${ROOT_PATH}/../cli-site/dir/doc1.html`, 'utf8')).to.include("doc1 @ /dir/");
+            rimraf.sync(`${ROOT_PATH}/../cli-site`);
+        });
+    });
+
+    describe("--store <store>", () => {
+
+        it("should operate on a FileStore rooted at the given directory path", async () => {
+            var {exitCode, stdout} = await run(["--store", "./dir", "read", "/doc2"]);
+            expect(exitCode).to.equal(0);
+            expect(stdout).to.equal("doc2 @ /dir/");
+
+            var {exitCode, stdout} = await run(["read", "/doc1", `--store=${ROOT_PATH}/dir`]);
+            expect(exitCode).to.equal(0);
+            expect(stdout).to.equal("doc1 @ /dir/");
+        });
+
+        it("should operate on a HTTPStore if the given store is a http URL", async () => {
+            var HTTPServer = require("../lib/http-server");
+            var FileStore = require("../lib/file-store");
+            var server = HTTPServer.StoreServer(new FileStore(ROOT_PATH));
+            await new Promise(resolve => server.listen(8030, resolve));
+            try {
+                var {exitCode, stdout} = await run(["--store", "http://localhost:8030", "read", "/dir/doc1"]);
+                expect(exitCode).to.equal(0);
+                expect(stdout).to.equal("doc1 @ /dir/");
+            } finally {
+                await new Promise(resolve => server.close(resolve));
+            }
+        });
+    });
+
+    describe("--config <path>", () => {
+
+        it("should operate on the store defined in the given configuration file", async () => {
+            fs.writeFileSync(`${ROOT_PATH}/test.config.json`, JSON.stringify({
+                store: {type: "Router", routes: {"/mem/": {type: "MemoryStore", documents: {"/doc": "doc @ mem"}}}}
+            }), 'utf8');
+            var {exitCode, stdout} = await run(["--config", "test.config.json", "read", "/mem/doc"]);
+            expect(exitCode).to.equal(0);
+            expect(stdout).to.equal("doc @ mem");
+        });
+
+        it("should default to the olojs.config.json file if present", async () => {
+            fs.writeFileSync(`${ROOT_PATH}/olojs.config.json`, JSON.stringify({
+                store: {type: "Router", routes: {"/files/": "."}}
+            }), 'utf8');
+            var {exitCode, stdout} = await run(["read", "/files/dir/doc1"]);
+            expect(exitCode).to.equal(0);
+            expect(stdout).to.equal("doc1 @ /dir/");
+        });
+    });
+
+    describe("errors", () => {
+
+        it("should print the error message and return 1 on unknown commands", async () => {
+            var {exitCode, stderr} = await run(["foo"]);
+            expect(exitCode).to.equal(1);
+            expect(stderr).to.equal("Unknown command: foo\n");
+        });
+
+        it("should print the error message and return 1 on missing arguments", async () => {
+            var {exitCode, stderr} = await run(["read"]);
+            expect(exitCode).to.equal(1);
+            expect(stderr).to.equal("Missing argument: path\n");
+        });
+    });
+
+    describe("olojs help", () => {
+
+        it("should print the usage instructions", async () => {
+            var {exitCode, stdout} = await run(["help"]);
+            expect(exitCode).to.equal(0);
+            expect(stdout.indexOf("Usage: olojs")).to.equal(0);
+            expect((await run([])).stdout).to.equal(stdout);
+        });
+    });
+
+    after(() => {
+        rimraf.sync(ROOT_PATH);
+    });
+});
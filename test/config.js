@@ -0,0 +1,159 @@
+var expect = require("chai").expect;
+var rimraf = require("rimraf");
+var mkdirp = require("mkdirp");
+var fs = require("fs");
+var Config = require("../lib/config");
+var MemoryStore = require("../lib/memory-store");
+var FileStore = require("../lib/file-store");
+var HTTPStore = require("../lib/http-store");
+var Router = require("../lib/router");
+var Protocols = require("../lib/protocols");
+var CachedStore = require("../lib/cached-store");
+var AccessControlledStore = require("../lib/access-controlled-store");
+
+var ROOT_PATH = `${__dirname}/config-dir`;
+
+
+
+describe("Config", () => {
+
+    describe("store = Config.createStore(spec, basePath)", () => {
+
+        it("should create a HTTPStore if spec is a http URL", () => {
+            var store = Config.createStore("https://example.com/docs");
+            expect(store).to.be.instanceof(HTTPStore);
+            expect(store.rootURL).to.equal("https://example.com/docs/");
+        });
+
+        it("should create a FileStore if spec is any other string", () => {
+            var store = Config.createStore("./docs", "/path/to/project");
+            expect(store).to.be.instanceof(FileStore);
+            expect(store.rootPath).to.equal("/path/to/project/docs");
+        });
+
+        it("should create a MemoryStore if spec.type is `MemoryStore`", async () => {
+            var store = Config.createStore({type: "MemoryStore", documents: {"/doc": "doc source"}});
+            expect(store).to.be.instanceof(MemoryStore);
+            expect(await store.read("/doc")).to.equal("doc source");
+        });
+
+        it("should create a FileStore if spec.type is `FileStore`", () => {
+            var store = Config.createStore({type: "FileStore", path: "docs", extension: ".txt",
+                    historyPath: "history", delimiters: ["{{", "}}"]}, "/project");
+            expect(store).to.be.instanceof(FileStore);
+            expect(store.rootPath).to.equal("/project/docs");
+            expect(store.extension).to.equal(".txt");
+            expect(store.historyPath).to.equal("/project/history");
+            expect(store.getDelimiters("/doc")).to.deep.equal(["{{", "}}"]);
+        });
+
+        it("should create a HTTPStore if spec.type is `HTTPStore`", () => {
+            var store = Config.createStore({type: "HTTPStore", url: "http://localhost:8010/docs", headers: {Test: "x"}});
+            expect(store).to.be.instanceof(HTTPStore);
+            expect(store.rootURL).to.equal("http://localhost:8010/docs/");
+            expect(store.headers).to.deep.equal({Test: "x"});
+        });
+
+        it("should create a Router if spec.type is `Router`", async () => {
+            var store = Config.createStore({type: "Router", routes: {
+                "/": {type: "MemoryStore", documents: {"/doc": "doc @ /"}},
+                "/files/": "./files"
+            }}, "/project");
+            expect(store).to.be.instanceof(Router);
+            expect(await store.read("/doc")).to.equal("doc @ /");
+            var [fileStore, subPath] = store.match("/files/doc");
+            expect(fileStore).to.be.instanceof(FileStore);
+            expect(fileStore.rootPath).to.equal("/project/files");
+        });
+
+        it("should create a Protocols store if spec.type is `Protocols`", async () => {
+            var store = Config.createStore({type: "Protocols", protocols: {
+                "mem": {type: "MemoryStore", documents: {"/doc": "doc @ mem"}},
+            }});
+            expect(store).to.be.instanceof(Protocols);
+            expect(await store.read("mem:/doc")).to.equal("doc @ mem");
+        });
+
+        it("should create a CachedStore if spec.type is `CachedStore`", async () => {
+            var store = Config.createStore({type: "CachedStore", ttl: 1000, maxSize: 10,
+                    store: {type: "MemoryStore", documents: {"/doc": "doc"}}});
+            expect(store).to.be.instanceof(CachedStore);
+            expect(store.ttl).to.equal(1000);
+            expect(store.maxSize).to.equal(10);
+            expect(await store.read("/doc")).to.equal("doc");
+        });
+
+        it("should create an AccessControlledStore if spec.type is `AccessControlledStore`", async () => {
+            var store = Config.createStore({type: "AccessControlledStore", rules: {"/": "r"},
+                    store: {type: "MemoryStore", documents: {"/doc": "doc"}}});
+            expect(store).to.be.instanceof(AccessControlledStore);
+            expect(await store.read("/doc")).to.equal("doc");
+            try {
+                await store.write("/doc", "...");
+                throw new Error("It didn't throw");
+            } catch (error) {
+                expect(error).to.be.instanceof(AccessControlledStore.WriteOperationNotAllowedError);
+            }
+        });
+
+        it("should throw an error if the spec is not valid", () => {
+            expect(() => Config.createStore({type: "XStore"})).to.throw(Error, "Unknown store type: XStore");
+            expect(() => Config.createStore(10)).to.throw(Error, "Invalid store configuration: 10");
+        });
+    });
+
+    describe("{store, server} = Config.load(configPath)", () => {
+
+        before(() => {
+            rimraf.sync(ROOT_PATH);
+            mkdirp.sync(`${ROOT_PATH}/docs`);
+            fs.writeFileSync(`${ROOT_PATH}/docs/doc.olo`, "doc @ /docs/", 'utf8');
+            fs.writeFileSync(`${ROOT_PATH}/olojs.config.json`, JSON.stringify({
+                store: {type: "Router", routes: {"/": "./docs"}},
+                server: {port: 8040, acl: {"/": {read: "*"}}}
+            }), 'utf8');
+            fs.writeFileSync(`${ROOT_PATH}/empty.json`, "{}", 'utf8');
+            fs.writeFileSync(`${ROOT_PATH}/auth.js`, `module.exports = async credentials => credentials.token === "t1" ? "alice" : null;`, 'utf8');
+            fs.writeFileSync(`${ROOT_PATH}/auth.config.json`, JSON.stringify({
+                server: {auth: "./auth.js", acl: {"/": {read: "*", write: ["alice"]}}}
+            }), 'utf8');
+            fs.writeFileSync(`${ROOT_PATH}/no-auth.config.json`, JSON.stringify({
+                server: {acl: {"/": {read: "*", write: ["alice"]}}}
+            }), 'utf8');
+        });
+
+        it("should create the store resolving the paths relative to the config file directory", async () => {
+            var {store} = Config.load(`${ROOT_PATH}/olojs.config.json`);
+            expect(store).to.be.instanceof(Router);
+            expect(await store.read("/doc")).to.equal("doc @ /docs/");
+        });
+
+        it("should return the server options", () => {
+            var {server} = Config.load(`${ROOT_PATH}/olojs.config.json`);
+            expect(server).to.deep.equal({port: 8040, viewer: true, acl: {"/": {read: "*"}}});
+        });
+
+        it("should load the server.auth function from the given module path", async () => {
+            var {server} = Config.load(`${ROOT_PATH}/auth.config.json`);
+            expect(server.auth).to.be.a("function");
+            expect(await server.auth({scheme:"bearer", token:"t1"})).to.equal("alice");
+            expect(server.acl).to.deep.equal({"/": {read: "*", write: ["alice"]}});
+        });
+
+        it("should throw an error if server.acl grants permissions to users but server.auth is missing", () => {
+            expect(() => Config.load(`${ROOT_PATH}/no-auth.config.json`)).to.throw(Error,
+                    "The server.acl grants permissions to specific users, but no server.auth module is defined");
+        });
+
+        it("should default to a FileStore rooted in the config file directory", () => {
+            var {store, server} = Config.load(`${ROOT_PATH}/empty.json`);
+            expect(store).to.be.instanceof(FileStore);
+            expect(store.rootPath).to.equal(ROOT_PATH);
+            expect(server).to.deep.equal({port: 8010, viewer: true});
+        });
+
+        after(() => {
+            rimraf.sync(ROOT_PATH);
+        });
+    });
+});
@@ -25,6 +25,123 @@ describe("document", () => {
         });
     });    
     
+    describe("ast = document.parseAST(source)", () => {
+
+        it("should return a document node containing the text and expression nodes", () => {
+            var ast = document.parseAST("Twice x is <% 2*x %>!");
+            expect(ast).to.deep.equal({
+                type: "document",
+                children: [
+                    {
+                        type: "text",
+                        value: "Twice x is ",
+                        start: {offset:0, line:1, column:1},
+                        end: {offset:11, line:1, column:12}
+                    },
+                    {
+                        type: "expression",
+                        source: " 2*x ",
+                        start: {offset:11, line:1, column:12},
+                        end: {offset:20, line:1, column:21}
+                    },
+                    {
+                        type: "text",
+                        value: "!",
+                        start: {offset:20, line:1, column:21},
+                        end: {offset:21, line:1, column:22}
+                    }
+                ]
+            });
+        });
+
+        it("should compute line and column of multiline sources", () => {
+            var ast = document.parseAST("line 1\nline 2 <% x =\n10 %>\n<%x%>");
+            expect(ast.children.map(node => [node.type, node.start, node.end])).to.deep.equal([
+                ["text", {offset:0, line:1, column:1}, {offset:14, line:2, column:8}],
+                ["expression", {offset:14, line:2, column:8}, {offset:26, line:3, column:6}],
+                ["text", {offset:26, line:3, column:6}, {offset:27, line:4, column:1}],
+                ["expression", {offset:27, line:4, column:1}, {offset:32, line:4, column:6}],
+            ]);
+        });
+
+        it("should not create empty text nodes", () => {
+            var ast = document.parseAST("<%a=1%><%b=2%>");
+            expect(ast.children.map(node => node.type)).to.deep.equal(["expression", "expression"]);
+            expect(document.parseAST("").children).to.deep.equal([]);
+        });
+
+        it("should not compile the expressions", () => {
+            var ast = document.parseAST("<% 2 * %>");
+            expect(ast.children[0].source).to.equal(" 2 * ");
+        });
+
+        it("should add a meta node containing the front matter source", () => {
+            var ast = document.parseAST("---\ntitle: Hi\n---\n<% x %>");
+            expect(ast.children).to.deep.equal([
+                {
+                    type: "meta",
+                    source: "title: Hi\n",
+                    start: {offset:0, line:1, column:1},
+                    end: {offset:18, line:4, column:1}
+                },
+                {
+                    type: "expression",
+                    source: " x ",
+                    start: {offset:18, line:4, column:1},
+                    end: {offset:25, line:4, column:8}
+                }
+            ]);
+            expect(document.parseAST("x\n---\ntitle: Hi\n---\n").children.map(node => node.type)).to.deep.equal(["text"]);
+        });
+
+        it("should create fragment nodes for the `<def:name ...>` blocks", () => {
+            var ast = document.parseAST("a<def:card title body>T=<% title %></def:x></def:card>b<def:u>u");
+            var fragment = ast.children[1];
+            expect(fragment.type).to.equal("fragment");
+            expect(fragment.name).to.equal("card");
+            expect(fragment.params).to.deep.equal(["title", "body"]);
+            expect(fragment.start).to.deep.equal({offset:1, line:1, column:2});
+            expect(fragment.end).to.deep.equal({offset:54, line:1, column:55});
+            expect(fragment.children.map(node => node.value || node.source)).to.deep.equal(["T=", " title ", "</def:x>"]);
+            expect(ast.children.map(node => node.type)).to.deep.equal(["text", "fragment", "text", "fragment"]);
+            expect(ast.children[3].end.offset).to.equal(63);
+        });
+
+        it("should interpret `<%%` and `%%>` as escaped delimiters", () => {
+            var ast = document.parseAST("<%% 1+2 %%> is <% '<%%x%%>' %>!");
+            expect(ast.children.map(node => [node.type, node.value || node.source, node.start.offset, node.end.offset])).to.deep.equal([
+                ["text", "<% 1+2 %> is ", 0, 15],
+                ["expression", " '<%x%>' ", 15, 30],
+                ["text", "!", 30, 31]
+            ]);
+        });
+    });
+
+    describe("meta = document.parseMeta(source)", () => {
+
+        it("should return the object defined in the YAML front matter", () => {
+            var source = "---\ntitle: Hello\ntags: [a, b]\ndate: 2020-01-01\n---\nHello <% name %>!";
+            expect(document.parseMeta(source)).to.deep.equal({title:"Hello", tags:["a", "b"], date:"2020-01-01"});
+        });
+
+        it("should accept JSON front matter", () => {
+            var source = `---\n{"title": "Hello", "draft": true}\n---\n`;
+            expect(document.parseMeta(source)).to.deep.equal({title:"Hello", draft:true});
+        });
+
+        it("should return an empty object if the source has no or empty front matter", () => {
+            expect(document.parseMeta("Hello <% name %>!")).to.deep.equal({});
+            expect(document.parseMeta("---\n---\nHello!")).to.deep.equal({});
+            expect(document.parseMeta("Hello\n---\ntitle: Hello\n---\n")).to.deep.equal({});
+        });
+
+        it("should return an empty object if the leading `---` block is not a YAML mapping", () => {
+            expect(document.parseMeta("---\n- a\n- b\n---\n")).to.deep.equal({});
+            expect(document.parseMeta("---\ntitle: Hi\ntags: [a\n---\n")).to.deep.equal({});
+            expect(document.parseMeta("---\nSome text\n---\n")).to.deep.equal({});
+        });
+    });
+
     describe("evaluateDocument = document.parse(source)", () => {
         
         it("should be a function", () => {
@@ -72,6 +189,245 @@ describe("document", () => {
                 var namespace = await evaluate(context);
                 expect(await context.str(namespace)).to.equal("Hello World!!");
             });
+
+            it("should expose the front matter metadata as `__meta__` and not render it", async () => {
+                var source = "---\ntitle: Hi\ntags: [a, b]\n---\n<% __meta__.title %>, <% size(__meta__.tags) %>";
+                var evaluate = document.parse(source);
+                var context = document.createContext();
+                var namespace = await evaluate(context);
+                expect(namespace.__meta__).to.deep.equal({title:"Hi", tags:["a", "b"]});
+                expect(await context.str(namespace)).to.equal("Hi, 2");
+
+                namespace.__meta__.title = "Hacked";
+                namespace.__meta__.tags.push("c");
+                var namespace = await evaluate(context);
+                expect(namespace.__meta__).to.deep.equal({title:"Hi", tags:["a", "b"]});
+                expect(await context.str(namespace)).to.equal("Hi, 2");
+
+                var namespace = await document.parse("Hello!")(context);
+                expect(namespace.__meta__).to.deep.equal({});
+
+            });
+
+            it("should render a leading `---` block that is not a YAML mapping as text", async () => {
+                var source = "---\n# Title: <% x %>\n\nSome *markdown* text.\n---\nMore text.";
+                var context = document.createContext({x:1});
+                var namespace = await document.parse(source)(context);
+                expect(namespace.__meta__).to.deep.equal({});
+                expect(await context.str(namespace)).to.equal("---\n# Title: 1\n\nSome *markdown* text.\n---\nMore text.");
+            });
+
+            it("should evaluate the independent expressions concurrently if `options.parallel` is true", async () => {
+                var log = [];
+                var get = (name, ms) => new Promise(resolve => setTimeout(() => {
+                    log.push(name);
+                    resolve(name);
+                }, ms));
+                var source = `<% a = get("a", 30) %>-<% b = get("b", 10) %>-<% get("c", 1) %>`;
+
+                var context = document.createContext({get});
+                var namespace = await document.parse(source)(context);
+                expect(await context.str(namespace)).to.equal("--c");
+                expect(log).to.deep.equal(["a", "b", "c"]);
+
+                log = [];
+                var namespace = await document.parse(source, {parallel: true})(context);
+                expect(await context.str(namespace)).to.equal("--c");
+                expect(namespace.a).to.equal("a");
+                expect(namespace.b).to.equal("b");
+                expect(log).to.deep.equal(["c", "b", "a"]);
+            });
+
+            it("should preserve the sequential semantics of dependent expressions in parallel mode", async () => {
+                var log = [];
+                var get = (name, ms) => new Promise(resolve => setTimeout(() => {
+                    log.push(name);
+                    resolve(name);
+                }, ms));
+                var source = `x<% a = get("a", 20) %>A<% b = get("b", 10) %><% c = a + b %>[<% a %><% c %>] ` +
+                        `<% f = () -> y %><% y = get("y", 5) %><% f() %> <% __str__ %>|<% a = get("z", 1) %>`;
+                var context = document.createContext({get});
+                var sequentialNamespace = await document.parse(source)(context);
+                var sequentialLog = log; log = [];
+                var parallelNamespace = await document.parse(source, {parallel: true})(context);
+
+                expect(await context.str(parallelNamespace)).to.equal("xA[aab] y xA[aab] y |");
+                expect(await context.str(parallelNamespace)).to.equal(await context.str(sequentialNamespace));
+                expect(parallelNamespace.a).to.equal("z");
+                expect(parallelNamespace.c).to.equal("ab");
+                expect(sequentialLog).to.deep.equal(["a", "b", "y", "z"]);
+                expect(log).to.deep.equal(["b", "a", "y", "z"]);
+            });
+
+            it("should map each named fragment to a function rendering the fragment content", async () => {
+                var source = `<% n = 0 %><def:card title body><b><% title %></b>: <% body %><% n = n+1 %></def:card>` +
+                        `A <% card("T", "B") %> <% (card "X").n %> <% n %>`;
+                var evaluate = document.parse(source);
+                var context = document.createContext();
+                var namespace = await evaluate(context);
+                expect(await context.str(namespace)).to.equal("A <b>T</b>: B 1 0");
+                var cardns = await namespace.card("title", "body");
+                expect(cardns.title).to.equal("title");
+                expect(cardns.__str__).to.equal("<b>title</b>: body");
+            });
+
+            it("should support nested fragments and not apply `__render__` to the fragments", async () => {
+                var source = `<% __render__ = text -> text + "!" %><def:list a b><def:item x>- <% x %></def:item>` +
+                        `<% item a %><% item b %></def:list><% list(1, 2) %>`;
+                var evaluate = document.parse(source);
+                var context = document.createContext();
+                var namespace = await evaluate(context);
+                expect(await context.str(namespace)).to.equal("- 1- 2!");
+            });
+
+            it("should evaluate the fragments consistently in parallel mode", async () => {
+                var source = `<def:f>y=<% y %></def:f><% y = 1 %><% f() %><% y = 2 %><% f() %>`;
+                var context = document.createContext();
+                var namespace = await document.parse(source, {parallel: true})(context);
+                expect(await context.str(namespace)).to.equal("y=1y=2");
+            });
+
+            it("should use the `options.delimiters` pair of strings as expression delimiters", async () => {
+                var source = `{{ x = 10 }}x = {{ x }}, <% x %>, {{{ x }}}, {{ "}}}" }}`;
+                var evaluate = document.parse(source, {delimiters: ["{{", "}}"]});
+                var context = document.createContext();
+                var namespace = await evaluate(context);
+                expect(await context.str(namespace)).to.equal("x = 10, <% x %>, {{ x }}, }}");
+
+                var evaluate = document.parse("${ 2*x }!", {delimiters: ["${", "}"]});
+                var namespace = await evaluate(document.createContext({x:2}));
+                expect(namespace.__str__).to.equal("4!");
+
+                expect(() => document.parse("", {delimiters: ["<%"]})).to.throw(TypeError, 'Invalid expression delimiters: ["<%"]');
+            });
+
+            it("should not derive an escape from a single-character delimiter", async () => {
+                var evaluate = document.parse("obj = {a:{b:1}}, ${ x }}", {delimiters: ["${", "}"]});
+                var namespace = await evaluate(document.createContext({x:2}));
+                expect(namespace.__str__).to.equal("obj = {a:{b:1}}, 2}");
+            });
+
+            it("should use the third and fourth items of `options.delimiters` as escapes", async () => {
+                var source = "${ {a:{b:1\\}\\}.a.b } $${x\\} $${{x}}";
+                var evaluate = document.parse(source, {delimiters: ["${", "}", "$${", "\\}"]});
+                var namespace = await evaluate(document.createContext());
+                expect(namespace.__str__).to.equal("1 ${x} ${{x}}");
+
+                var evaluate = document.parse("{{ x }}}", {delimiters: ["{{", "}}", null, null]});
+                var namespace = await evaluate(document.createContext({x:2}));
+                expect(namespace.__str__).to.equal("2}");
+
+                expect(() => document.parse("", {delimiters: ["{{", "}}", ""]})).to.throw(TypeError);
+            });
+
+            it("should render the escaped delimiters `<%%` and `%%>` as `<%` and `%>`", async () => {
+                var source = `<%% 1+2 %%> renders to <% 1+2 %>; <% "100%%>" %> %%>`;
+                var evaluate = document.parse(source);
+                var context = document.createContext();
+                var namespace = await evaluate(context);
+                expect(await context.str(namespace)).to.equal("<% 1+2 %> renders to 3; 100%> %>");
+            });
+
+            it("should list the failed expressions in the `__errors__` array", async () => {
+                var source = `a <% 1 + %>\nb <% x = 2 %> <% 3 + f() %> <% no.such %>`;
+                var evaluate = document.parse(source);
+                var context = document.createContext({f () { throw new Error("boom") }});
+                var namespace = await evaluate(context);
+                expect(namespace.__errors__.length).to.equal(2);
+
+                var {error, ...failure} = namespace.__errors__[0];
+                expect(failure).to.deep.equal({index:0, line:1, column:3, source:" 1 + ", message:"Operand expected @1:5"});
+                expect(error).to.be.instanceof(Error);
+
+                var {error, ...failure} = namespace.__errors__[1];
+                expect(failure).to.deep.equal({index:2, line:2, column:15, source:" 3 + f() ", message:"boom"});
+                expect(error.message).to.equal("boom");
+
+                var namespace = await document.parse("<% x = 1 %>")(context);
+                expect(namespace.__errors__).to.deep.equal([]);
+            });
+
+            it("should list the failed expressions assigning a failure to a name", async () => {
+                var source = `<% x = f() %>|<% (y = f(), z = 2) %>|<% w = f() ?> (err -> 3) %>`;
+                var context = document.createContext({f () { throw new Error("boom") }});
+                for (let parallel of [false, true]) {
+                    var namespace = await document.parse(source, {parallel})(context);
+                    expect(namespace.__errors__.map(failure => [failure.index, failure.message])).to.deep.equal([[0, "boom"], [1, "boom"]]);
+                    expect(namespace.z).to.equal(2);
+                    expect(namespace.w).to.equal(3);
+                    expect(await context.str(namespace)).to.equal("||");
+                }
+
+                var evaluate = document.parse("<% y = 1 %><% x = f() %>", {strict: true});
+                try {
+                    await evaluate(context);
+                    throw new Error("It didn't throw");
+                } catch (error) {
+                    expect(error).to.be.instanceof(document.DocumentEvaluationError);
+                    expect(error.index).to.equal(1);
+                    expect(error.cause.message).to.equal("boom");
+                }
+            });
+
+            it("should throw a DocumentEvaluationError on failure if `options.strict` is true", async () => {
+                var evaluate = document.parse("<% x = 1 %>\nx = <% 1 + %>", {strict: true});
+                var context = document.createContext();
+                try {
+                    await evaluate(context);
+                    throw new Error("It didn't throw");
+                } catch (error) {
+                    expect(error).to.be.instanceof(document.DocumentEvaluationError);
+                    expect(error.message).to.equal("Failed to evaluate expression #1 at line 2, column 5: Operand expected @1:5");
+                    expect(error.index).to.equal(1);
+                    expect(error.line).to.equal(2);
+                    expect(error.column).to.equal(5);
+                    expect(error.source).to.equal(" 1 + ");
+                    expect(error.cause).to.be.instanceof(Error);
+                }
+            });
         });        
     });
+
+    describe("cache = new document.CompileCache(maxSize)", () => {
+
+        it("should return the same evaluate function for the same source and options", async () => {
+            var cache = new document.CompileCache();
+            var evaluate = cache.parse("x = <% x = 10 %><% x %>");
+            expect(cache.parse("x = <% x = 10 %><% x %>")).to.equal(evaluate);
+            expect(cache.parse("x = <% x = 20 %><% x %>")).to.not.equal(evaluate);
+            expect(cache.parse("x = <% x = 10 %><% x %>", {delimiters: ["{{", "}}"]})).to.not.equal(evaluate);
+            expect(cache.parse("x = <% x = 10 %><% x %>", {strict: true})).to.not.equal(evaluate);
+            expect(cache.size).to.equal(4);
+
+            var context = document.createContext();
+            var namespace = await evaluate(context);
+            expect(await context.str(namespace)).to.equal("x = 10");
+        });
+
+        it("should discard the least recently used entries when exceeding maxSize", () => {
+            var cache = new document.CompileCache(2);
+            var evaluate1 = cache.parse("doc1");
+            var evaluate2 = cache.parse("doc2");
+            expect(cache.parse("doc1")).to.equal(evaluate1);
+            cache.parse("doc3");
+            expect(cache.size).to.equal(2);
+            expect(cache.parse("doc1")).to.equal(evaluate1);
+            expect(cache.parse("doc2")).to.not.equal(evaluate2);
+        });
+
+        it("should be emptied by `cache.clear()`", () => {
+            var cache = new document.CompileCache();
+            var evaluate = cache.parse("doc");
+            cache.clear();
+            expect(cache.size).to.equal(0);
+            expect(cache.parse("doc")).to.not.equal(evaluate);
+        });
+    });
+
+    describe("document.compileCache", () => {
+
+        it("should be a shared CompileCache instance", () => {
+            expect(document.compileCache).to.be.instanceof(document.CompileCache);
+        });
+    });
 });
@@ -105,6 +105,34 @@ const describeFileStore = (title, ROOT_PATH, options) => describe(title, () => {
             expect(fs.existsSync(`${ROOT_PATH}/x/y/doc${fileStore.extension}`)).to.be.true;
             expect(await fileStore.read(`/x/y/doc`)).to.equal("doc @ /x/y/");
         });
+
+        it("should modify the file only if `options.ifMatch` matches the current version", async () => {
+            var fileStore = new FileStore(ROOT_PATH, options);
+            var version = FileStore.versionOf(await fileStore.read(`/path/to/doc2`));
+            await fileStore.write(`/path/to/doc2`, "new doc2 @ /path/to/", {ifMatch: version});
+            expect(await fileStore.read(`/path/to/doc2`)).to.equal("new doc2 @ /path/to/");
+            try {
+                await fileStore.write(`/path/to/doc2`, "other doc2 @ /path/to/", {ifMatch: version});
+                throw new Error("It didn't throw");
+            } catch (error) {
+                expect(error).to.be.instanceof(FileStore.ConflictError);
+                expect(error.message).to.equal("Version conflict: WRITE /path/to/doc2");
+            }
+            expect(await fileStore.read(`/path/to/doc2`)).to.equal("new doc2 @ /path/to/");
+        });
+
+        it("should accept only one of two concurrent writes with the same `options.ifMatch`", async () => {
+            var fileStore1 = new FileStore(ROOT_PATH, options);
+            var fileStore2 = new FileStore(ROOT_PATH, options);
+            var version = FileStore.versionOf(await fileStore1.read(`/path/to/doc2`));
+            var results = await Promise.all([
+                fileStore1.write(`/path/to/doc2`, "doc2 v1", {ifMatch: version}).then(() => "ok", error => error),
+                fileStore2.write(`/path/to/doc2`, "doc2 v2", {ifMatch: version}).then(() => "ok", error => error)
+            ]);
+            expect(results[0]).to.equal("ok");
+            expect(results[1]).to.be.instanceof(FileStore.ConflictError);
+            expect(await fileStore1.read(`/path/to/doc2`)).to.equal("doc2 v1");
+        });
     });
 
     describe("await fileStore.delete(path)", () => {
@@ -152,6 +180,149 @@ const describeFileStore = (title, ROOT_PATH, options) => describe(title, () => {
 describe("FileStore", () => {
     describeFileStore("Default FileStore", `${__dirname}/fs-store`);
     describeFileStore("FileStore with custom extension", `${__dirname}/fs-store`, {extension:".txt"});
+
+    describe("unwatch = fileStore.watch(path, callback)", () => {
+        const ROOT_PATH = `${__dirname}/fs-watch`;
+
+        before(() => {
+            rimraf.sync(ROOT_PATH);
+            initStore(ROOT_PATH);
+        });
+
+        after(() => {
+            rimraf.sync(ROOT_PATH);
+        });
+
+        const nextChange = changes => new Promise((resolve, reject) => {
+            const interval = setInterval(() => {
+                if (changes.length > 0) {
+                    clearInterval(interval);
+                    resolve(changes.shift());
+                }
+            }, 10);
+        });
+
+        it("should call the callback when a watched document file changes", async () => {
+            var fileStore = new FileStore(ROOT_PATH);
+            var changes = [];
+            var unwatch = fileStore.watch("/path/to/", change => changes.push(change));
+
+            fs.writeFileSync(`${ROOT_PATH}/path/to/doc1.olo`, "modified doc1", 'utf8');
+            expect(await nextChange(changes)).to.deep.equal({type:'write', path:'/path/to/doc1'});
+
+            await fileStore.write("/path/to/dir/doc4", "doc4");
+            expect(await nextChange(changes)).to.deep.equal({type:'write', path:'/path/to/dir/doc4'});
+
+            fs.unlinkSync(`${ROOT_PATH}/path/to/doc2.olo`);
+            expect(await nextChange(changes)).to.deep.equal({type:'delete', path:'/path/to/doc2'});
+
+            unwatch();
+        });
+
+        it("should ignore the changes to non-watched documents", async () => {
+            var fileStore = new FileStore(ROOT_PATH);
+            var changes = [];
+            var unwatch = fileStore.watch("/path/to/doc3", change => changes.push(change));
+            fs.writeFileSync(`${ROOT_PATH}/doc3.olo`, "modified doc3", 'utf8');
+            fs.writeFileSync(`${ROOT_PATH}/path/to/doc3.txt`, "modified doc3", 'utf8');
+            fs.writeFileSync(`${ROOT_PATH}/path/to/doc3.olo`, "modified doc3", 'utf8');
+            expect(await nextChange(changes)).to.deep.equal({type:'write', path:'/path/to/doc3'});
+            expect(changes).to.deep.equal([]);
+            unwatch();
+        });
+    });
+
+    describe("FileStore with history", () => {
+        const ROOT_PATH = `${__dirname}/fs-history/store`;
+        const HISTORY_PATH = `${__dirname}/fs-history/versions`;
+        const options = {historyPath: HISTORY_PATH};
+
+        before(() => {
+            rimraf.sync(`${__dirname}/fs-history`);
+            initStore(ROOT_PATH);
+        });
+
+        after(() => {
+            rimraf.sync(`${__dirname}/fs-history`);
+        });
+
+        describe("versions = await fileStore.history(path)", () => {
+
+            it("should return a version for every write and delete operation", async () => {
+                var fileStore = new FileStore(ROOT_PATH, options);
+                await fileStore.write("/path/to/doc1", "doc1 v1");
+                await fileStore.write("/path/to/doc1", "doc1 v2");
+                await fileStore.delete("/path/to/doc1");
+                expect(fs.existsSync(`${HISTORY_PATH}/path/to/doc1.olo/4`)).to.be.true;
+                var versions = await fileStore.history("/path/to/doc1");
+                expect(versions.map(version => version.id)).to.deep.equal([1, 2, 3, 4]);
+                for (let version of versions) {
+                    expect(version.date).to.be.instanceof(Date);
+                }
+            });
+
+            it("should record a deletion for each document removed by deleteAll", async () => {
+                var fileStore = new FileStore(ROOT_PATH, options);
+                await fileStore.deleteAll("/path/to/dir");
+                expect((await fileStore.history("/path/to/dir/doc1")).length).to.equal(2);
+                expect((await fileStore.history("/path/to/dir/doc2")).length).to.equal(2);
+                expect((await fileStore.history("/path/to/dir/doc3")).length).to.equal(2);
+                expect(await fileStore.readVersion("/path/to/dir/doc1", 1)).to.equal("doc1 @ /path/to/dir/");
+            });
+
+            it("should record the current source before replacing it, if it is not the last version", async () => {
+                var fileStore = new FileStore(ROOT_PATH, options);
+                await fileStore.write("/doc3", "doc3 v1");
+                expect(await fileStore.readVersion("/doc3", 1)).to.equal("doc3 @ /");
+                expect(await fileStore.readVersion("/doc3", 2)).to.equal("doc3 v1");
+                fs.writeFileSync(`${ROOT_PATH}/doc3.olo`, "doc3 modified outside", 'utf8');
+                await fileStore.write("/doc3", "doc3 v2");
+                await fileStore.write("/doc3", "doc3 v3");
+                var sources = [];
+                for (let version of await fileStore.history("/doc3")) {
+                    sources.push(await fileStore.readVersion("/doc3", version.id));
+                }
+                expect(sources).to.deep.equal(["doc3 @ /", "doc3 v1", "doc3 modified outside", "doc3 v2", "doc3 v3"]);
+            });
+
+            it("should return an empty array if the document has no history", async () => {
+                var fileStore = new FileStore(ROOT_PATH, options);
+                expect(await fileStore.history("/path/to/doc2")).to.deep.equal([]);
+            });
+
+            it("should return an empty array if no historyPath option was passed", async () => {
+                var fileStore = new FileStore(ROOT_PATH);
+                expect(await fileStore.history("/path/to/doc1")).to.deep.equal([]);
+            });
+        });
+
+        describe("source = await fileStore.readVersion(path, versionId)", () => {
+
+            it("should return the source of the given version of the document", async () => {
+                var fileStore = new FileStore(ROOT_PATH, options);
+                expect(await fileStore.readVersion("/path/to/doc1", 1)).to.equal("doc1 @ /path/to/");
+                expect(await fileStore.readVersion("/path/to/doc1", 2)).to.equal("doc1 v1");
+                expect(await fileStore.readVersion("/path/to/doc1", "3")).to.equal("doc1 v2");
+                expect(await fileStore.readVersion("/path/to/doc1", 4)).to.equal("");
+            });
+
+            it("should return an empty string if the version doesn't exist", async () => {
+                var fileStore = new FileStore(ROOT_PATH, options);
+                expect(await fileStore.readVersion("/path/to/doc1", 5)).to.equal("");
+                expect(await fileStore.readVersion("/path/to/doc2", 1)).to.equal("");
+            });
+        });
+
+        describe("await fileStore.revert(path, versionId)", () => {
+
+            it("should restore the given version as a new version", async () => {
+                var fileStore = new FileStore(ROOT_PATH, options);
+                await fileStore.revert("/path/to/doc1", 3);
+                expect(await fileStore.read("/path/to/doc1")).to.equal("doc1 v2");
+                expect((await fileStore.history("/path/to/doc1")).length).to.equal(5);
+            });
+        });
+    });
 });
 
 
@@ -0,0 +1,21 @@
+var expect = require("chai").expect;
+var hash = require("../lib/hash");
+
+
+describe("hash", () => {
+
+    it("should return a 14-digit hexadecimal string", () => {
+        expect(hash("")).to.match(/^[0-9a-f]{14}$/);
+        expect(hash("abc")).to.match(/^[0-9a-f]{14}$/);
+        expect(hash("<% x = 10 %>".repeat(100))).to.match(/^[0-9a-f]{14}$/);
+    });
+
+    it("should return the same value for the same string", () => {
+        expect(hash("document source")).to.equal(hash("document source"));
+    });
+
+    it("should return different values for different strings", () => {
+        expect(hash("document source")).to.not.equal(hash("document source "));
+        expect(hash("abc")).to.not.equal(hash("acb"));
+    });
+});
@@ -6,6 +6,7 @@ var Store = require("../lib/store");
 var MemoryStore = require("../lib/memory-store");
 var Router = require("../lib/router");
 var HTTPServer = require("../lib/http-server");
+var hash = require("../lib/hash");
 
 var http = require('http');
 var express = require('express');
@@ -71,6 +72,48 @@ describe("HTTPServer", () => {
                 expect(await response.text()).to.equal(docSource);
             });
 
+            it("should send an ETag header containing the hash of the document source", async () => {
+                var docPath = "/path/to/doc1";
+                var docSource = "document source ...";
+                await homeStore.write(docPath, docSource);
+
+                var response = await fetch(`http://localhost:8888/docs/${docPath}`, {
+                    method: 'get',
+                    headers: {
+                        'Accept': 'text/*'
+                    },
+                });
+                expect(response.status).to.equal(200);
+                expect(response.headers.get('ETag')).to.equal(`"${hash(docSource)}"`);
+            });
+
+            it("should return the status code 304 if the If-None-Match header matches the document ETag", async () => {
+                var docPath = "/path/to/doc1";
+                await homeStore.write(docPath, "document source ...");
+                var etag = `"${hash("document source ...")}"`;
+
+                var response = await fetch(`http://localhost:8888/docs/${docPath}`, {
+                    method: 'get',
+                    headers: {
+                        'Accept': 'text/*',
+                        'If-None-Match': etag
+                    },
+                });
+                expect(response.status).to.equal(304);
+                expect(await response.text()).to.equal("");
+
+                await homeStore.write(docPath, "modified document source ...");
+                var response = await fetch(`http://localhost:8888/docs/${docPath}`, {
+                    method: 'get',
+                    headers: {
+                        'Accept': 'text/*',
+                        'If-None-Match': etag
+                    },
+                });
+                expect(response.status).to.equal(200);
+                expect(await response.text()).to.equal("modified document source ...");
+            });
+
             it("should return the status code 403 if the backend environment throws ReadPermissionDenied", async () => {
                 var response = await fetch(`http://localhost:8888/docs/private/path/to/doc`, {
                     method: 'get',
@@ -81,6 +124,62 @@ describe("HTTPServer", () => {
                 expect(response.status).to.equal(403);
             });
 
+            it("should return the rendered document if the preferred MimeType is `text/html`", async () => {
+                await homeStore.write("/path/to/doc2", "<% y = argns.x * 2 %>Twice x is <% y %>");
+
+                var response = await fetch(`http://localhost:8888/docs/path/to/doc2?x=10`, {
+                    method: 'get',
+                    headers: {
+                        'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8'
+                    },
+                });
+                expect(response.status).to.equal(200);
+                expect(response.headers.get('Content-Type')).to.match(/^text\/html/);
+                expect(response.headers.get('Content-Security-Policy')).to.equal("sandbox; default-src 'none'");
+                expect(await response.text()).to.equal("Twice x is 20");
+
+                var response = await fetch(`http://localhost:8888/docs/private/path/to/doc`, {
+                    method: 'get',
+                    headers: {
+                        'Accept': 'text/html'
+                    },
+                });
+                expect(response.status).to.equal(403);
+            });
+
+            it("should return the JSON-serialized document namespace if the accepted MimeType is `application/x-olo-namespace+json`", async () => {
+                await homeStore.write("/path/to/doc3", "<% y = argns.x * 2, s = 'abc', f = x -> x, ns = {b:1==1, l:[1,f]}, lib = import './lib3' %>");
+                await homeStore.write("/path/to/lib3", "<% z = 3 %>");
+
+                var response = await fetch(`http://localhost:8888/docs/path/to/doc3?x=10`, {
+                    method: 'get',
+                    headers: {
+                        'Accept': 'application/x-olo-namespace+json'
+                    },
+                });
+                expect(response.status).to.equal(200);
+                expect(response.headers.get('Content-Type')).to.match(/^application\/x-olo-namespace\+json/);
+                var namespace = await response.json();
+                expect(namespace.argns).to.deep.equal({x:10});
+                expect(namespace.y).to.equal(20);
+                expect(namespace.s).to.equal('abc');
+                expect(namespace.ns).to.deep.equal({b:true, l:[1,null]});
+                expect(namespace.__path__).to.equal('/path/to/doc3');
+                expect('f' in namespace).to.be.false;
+                expect('import' in namespace).to.be.false;
+                expect(namespace.lib.z).to.equal(3);
+                expect(Object.keys(namespace).filter(name => name[0] === '$')).to.deep.equal([]);
+                expect(Object.keys(namespace.lib).filter(name => name[0] === '$')).to.deep.equal([]);
+
+                var response = await fetch(`http://localhost:8888/docs/private/path/to/doc`, {
+                    method: 'get',
+                    headers: {
+                        'Accept': 'application/x-olo-namespace+json'
+                    },
+                });
+                expect(response.status).to.equal(403);
+            });
+
             it("should return the status code 405 if the backend environment throws Store.ReadOperationNotDefined", async () => {
                 var response = await fetch(`http://localhost:8888/docs/hidden/path/to/doc`, {
                     method: 'get',
@@ -116,6 +215,22 @@ describe("HTTPServer", () => {
                 expect((await response.json()).sort()).to.deep.equal(['error/', 'hidden/', 'path/', 'private/']);
             });
 
+            it("should stream the store changes as server-sent events if the accepted MimeType is `text/event-stream`", async () => {
+                var request = http.get(`http://localhost:8888/docs/path/to/`, {
+                    headers: {
+                        'Accept': 'text/event-stream'
+                    }
+                });
+                var response = await new Promise(resolve => request.on('response', resolve));
+                expect(response.statusCode).to.equal(200);
+                expect(response.headers['content-type']).to.match(/^text\/event-stream/);
+
+                var received = new Promise(resolve => response.once('data', resolve));
+                await homeStore.write("/path/to/doc3", "...");
+                expect(String(await received)).to.equal(`data: {"type":"write","path":"/path/to/doc3"}\n\n`);
+                request.destroy();
+            });
+
             it("should return the status code 413 if the accepted MimeType is neither `text/*` nor `application/json`", async () => {
                 var response = await fetch(`http://localhost:8888/docs/env/path/to/img`, {
                     method: 'get',
@@ -147,6 +262,36 @@ describe("HTTPServer", () => {
                 expect(homeStore.read(docPath)).to.equal("new document source ...")
             });
 
+            it("should modify the resource only if the If-Match header matches the document ETag", async () => {
+                var docPath = "/path/to/doc1";
+                homeStore.write(docPath, "document source ...");
+                var etag = `"${Store.versionOf("document source ...")}"`;
+
+                var response = await fetch(`http://localhost:8888/docs${docPath}`, {
+                    method: 'put',
+                    headers: {
+                        'Accept': 'text/*',
+                        'Content-Type': 'text/plain',
+                        'If-Match': etag
+                    },
+                    body: "new document source ..."
+                });
+                expect(response.status).to.equal(200);
+                expect(homeStore.read(docPath)).to.equal("new document source ...")
+
+                var response = await fetch(`http://localhost:8888/docs${docPath}`, {
+                    method: 'put',
+                    headers: {
+                        'Accept': 'text/*',
+                        'Content-Type': 'text/plain',
+                        'If-Match': etag
+                    },
+                    body: "other document source ..."
+                });
+                expect(response.status).to.equal(412);
+                expect(homeStore.read(docPath)).to.equal("new document source ...")
+            });
+
             it("should return the status code 403 if the backend environment throws WritePermissionDenied", async () => {
                 var response = await fetch(`http://localhost:8888/docs/private/path/to/doc`, {
                     method: 'put',
@@ -264,6 +409,122 @@ describe("HTTPServer", () => {
             server.close(done);
         });
     });
+
+    describe("HTTPServer.StoreMiddleware with auth and acl options", () => {
+        var homeStore, server;
+
+        before((done) => {
+            homeStore = new MemoryStore({
+                "/doc": "public doc",
+                "/private/doc": "private doc",
+            });
+
+            const tokens = {"alice-token": "alice", "bob-token": "bob"};
+            const passwords = {"alice": "alice-pwd", "bob": "bob-pwd"};
+
+            const app = express();
+            app.use('/docs', HTTPServer.StoreMiddleware(homeStore, {
+                auth: async credentials => {
+                    if (credentials.scheme === "bearer") {
+                        return tokens[credentials.token] || null;
+                    }
+                    if (passwords[credentials.username] === credentials.password) {
+                        return credentials.username;
+                    }
+                    return null;
+                },
+                acl: {
+                    "/": {read: "*", write: ["alice", "bob"]},
+                    "/private/": {read: ["alice"], write: ["alice"]}
+                }
+            }));
+            server = http.createServer(app);
+            server.listen(8888, done);
+        });
+
+        var basic = (username, password) => 
+                "Basic " + Buffer.from(`${username}:${password}`).toString('base64');
+
+        it("should grant access to the anonymous user according to the acl", async () => {
+            var response = await fetch(`http://localhost:8888/docs/doc`, {
+                method: 'get',
+                headers: {'Accept': 'text/*'}
+            });
+            expect(response.status).to.equal(200);
+            expect(await response.text()).to.equal("public doc");
+
+            var response = await fetch(`http://localhost:8888/docs/private/doc`, {
+                method: 'get',
+                headers: {'Accept': 'text/*'}
+            });
+            expect(response.status).to.equal(403);
+
+            var response = await fetch(`http://localhost:8888/docs/doc`, {
+                method: 'put',
+                headers: {'Content-Type': 'text/plain'},
+                body: "modified doc"
+            });
+            expect(response.status).to.equal(403);
+            expect(await homeStore.read('/doc')).to.equal("public doc");
+        });
+
+        it("should grant access to the user authenticated via Bearer token according to the acl", async () => {
+            var response = await fetch(`http://localhost:8888/docs/private/doc`, {
+                method: 'get',
+                headers: {'Accept': 'text/*', 'Authorization': 'Bearer alice-token'}
+            });
+            expect(response.status).to.equal(200);
+            expect(await response.text()).to.equal("private doc");
+
+            var response = await fetch(`http://localhost:8888/docs/private/doc`, {
+                method: 'get',
+                headers: {'Accept': 'text/*', 'Authorization': 'Bearer bob-token'}
+            });
+            expect(response.status).to.equal(403);
+        });
+
+        it("should grant access to the user authenticated via Basic credentials according to the acl", async () => {
+            var response = await fetch(`http://localhost:8888/docs/private/doc`, {
+                method: 'put',
+                headers: {'Content-Type': 'text/plain', 'Authorization': basic('alice', 'alice-pwd')},
+                body: "modified private doc"
+            });
+            expect(response.status).to.equal(200);
+            expect(await homeStore.read('/private/doc')).to.equal("modified private doc");
+
+            var response = await fetch(`http://localhost:8888/docs/private/doc`, {
+                method: 'delete',
+                headers: {'Authorization': basic('bob', 'bob-pwd')}
+            });
+            expect(response.status).to.equal(403);
+            expect(await homeStore.read('/private/doc')).to.equal("modified private doc");
+        });
+
+        it("should respond with status 401 if the credentials are not valid", async () => {
+            var response = await fetch(`http://localhost:8888/docs/doc`, {
+                method: 'get',
+                headers: {'Accept': 'text/*', 'Authorization': 'Bearer wrong-token'}
+            });
+            expect(response.status).to.equal(401);
+            expect(response.headers.get('WWW-Authenticate')).to.equal('Basic realm="olojs"');
+
+            var response = await fetch(`http://localhost:8888/docs/doc`, {
+                method: 'get',
+                headers: {'Accept': 'text/*', 'Authorization': basic('alice', 'bob-pwd')}
+            });
+            expect(response.status).to.equal(401);
+
+            var response = await fetch(`http://localhost:8888/docs/doc`, {
+                method: 'get',
+                headers: {'Accept': 'text/*', 'Authorization': 'Digest abc'}
+            });
+            expect(response.status).to.equal(401);
+        });
+
+        after((done) => {
+            server.close(done);
+        });
+    });
     
     describe("HTTPServer.StoreServer", () => {
         var homeStore, server;
@@ -550,6 +811,72 @@ describe("HTTPServer", () => {
         });        
     });
 
+    describe("HTTPServer.ConfigServer", () => {
+        var configPath = `${__dirname}/http-server.config.json`;
+
+        afterEach(() => {
+            fs.unlinkSync(configPath);
+        });
+
+        it("should create a ViewerServer out of the configuration file", async () => {
+            fs.writeFileSync(configPath, JSON.stringify({
+                store: {type: "MemoryStore", documents: {"/doc": "doc source"}},
+                server: {port: 8888}
+            }), 'utf8');
+            var server = HTTPServer.ConfigServer(configPath);
+            expect(server.port).to.equal(8888);
+            await new Promise(resolve => server.listen(server.port, resolve));
+            try {
+                var response = await fetch('http://localhost:8888/docs/doc', {headers: {'Accept': 'text/*'}});
+                expect(await response.text()).to.equal("doc source");
+                var response = await fetch('http://localhost:8888/');
+                expect(response.status).to.equal(200);
+            } finally {
+                await new Promise(resolve => server.close(resolve));
+            }
+        });
+
+        it("should create a StoreServer with the configured acl if server.viewer is false", async () => {
+            fs.writeFileSync(configPath, JSON.stringify({
+                store: {type: "MemoryStore", documents: {"/doc": "doc source", "/private/doc": "private"}},
+                server: {port: 8888, viewer: false, acl: {"/": {read: "*"}, "/private/": {}}}
+            }), 'utf8');
+            var server = HTTPServer.ConfigServer(configPath);
+            await new Promise(resolve => server.listen(server.port, resolve));
+            try {
+                var response = await fetch('http://localhost:8888/doc', {headers: {'Accept': 'text/*'}});
+                expect(await response.text()).to.equal("doc source");
+                var response = await fetch('http://localhost:8888/private/doc', {headers: {'Accept': 'text/*'}});
+                expect(response.status).to.equal(403);
+            } finally {
+                await new Promise(resolve => server.close(resolve));
+            }
+        });
+
+        it("should authenticate the users via the configured server.auth module", async () => {
+            var authPath = `${__dirname}/http-server.auth.js`;
+            fs.writeFileSync(authPath, `module.exports = async credentials => credentials.token === "t1" ? "alice" : null;`, 'utf8');
+            fs.writeFileSync(configPath, JSON.stringify({
+                store: {type: "MemoryStore", documents: {"/doc": "doc source"}},
+                server: {port: 8888, viewer: false, auth: "./http-server.auth.js", acl: {"/": {read: "*", write: ["alice"]}}}
+            }), 'utf8');
+            var server = HTTPServer.ConfigServer(configPath);
+            await new Promise(resolve => server.listen(server.port, resolve));
+            try {
+                var response = await fetch('http://localhost:8888/doc', {method: 'put', body: "new source"});
+                expect(response.status).to.equal(403);
+                var response = await fetch('http://localhost:8888/doc', {method: 'put', body: "new source",
+                        headers: {'Authorization': 'Bearer t1'}});
+                expect(response.status).to.equal(200);
+                var response = await fetch('http://localhost:8888/doc', {headers: {'Accept': 'text/*'}});
+                expect(await response.text()).to.equal("new source");
+            } finally {
+                await new Promise(resolve => server.close(resolve));
+                fs.unlinkSync(authPath);
+            }
+        });
+    });
+
     describe("HTTPServer.ViewerServer", () => {
         var store, server;
         
@@ -16,7 +16,7 @@ describe("HTTPStore", () => {
     var FileStore = require("../lib/file-store");
     var fileStore = new FileStore(ROOT_PATH);
     var HTTPStore = require("../lib/http-store");
-    var TestHeader;
+    var TestHeader, ConditionalRequests;
 
     before((done) => {
         initStore(ROOT_PATH);
@@ -40,6 +40,28 @@ describe("HTTPStore", () => {
             TestHeader = req.get('Test');
             res.status(200).send();
         })
+        app.get("/etag/*", (req, res, next) => {
+            if (req.get('If-None-Match')) ConditionalRequests.push(req.get('If-None-Match'));
+            if (req.get('If-None-Match') === '"etag-of-doc"') {
+                res.status(304).end();
+            } else {
+                res.status(200).set('ETag', '"etag-of-doc"').send("doc @ /etag/");
+            }
+        });
+        app.put("/etag/*", (req, res, next) => {
+            res.status(200).send();
+        });
+        app.put("/if-match/*", (req, res, next) => {
+            TestHeader = req.get('If-Match');
+            res.status(TestHeader === '"v1"' ? 200 : 412).send();
+        });
+        app.get("/sse/*", (req, res, next) => {
+            TestHeader = req.get('Accept');
+            res.status(200).set('Content-Type', 'text/event-stream');
+            res.flushHeaders();
+            res.write(`data: {"type":"write","path":"/path/to/doc1"}\n\n`);
+            res.write(`data: {"type":"delete",\ndata: "path":"/path/to/doc2"}\n\n`);
+        });
         app.get("*", async (req, res, next) => {
             if (req.accepts('application/json')) {
                 res.status(200).json(await fileStore.list(req.path));
@@ -147,6 +169,37 @@ describe("HTTPStore", () => {
                 expect(error.message).to.equal("An error occurred while retrieving the document at /error/path/to/doc");
             }
         });
+
+        it("should send a conditional request when the document has been read before and return the cached source on 304", async () => {
+            var httpStore = new HTTPStore("http://localhost:8020");
+            ConditionalRequests = [];
+            expect(await httpStore.read("/etag/doc")).to.equal("doc @ /etag/");
+            expect(ConditionalRequests).to.deep.equal([]);
+            expect(await httpStore.read("/etag/doc")).to.equal("doc @ /etag/");
+            expect(ConditionalRequests).to.deep.equal(['"etag-of-doc"']);
+        });
+
+        it("should keep in the cache only the last `options.cacheSize` sources", async () => {
+            var httpStore = new HTTPStore("http://localhost:8020", {cacheSize: 1});
+            expect(httpStore.cacheSize).to.equal(1);
+            ConditionalRequests = [];
+            await httpStore.read("/etag/doc1");
+            await httpStore.read("/etag/doc2");
+            await httpStore.read("/etag/doc1");
+            expect(ConditionalRequests).to.deep.equal([]);
+            await httpStore.read("/etag/doc1");
+            expect(ConditionalRequests).to.deep.equal(['"etag-of-doc"']);
+            expect(new HTTPStore("http://localhost:8020").cacheSize).to.equal(500);
+        });
+
+        it("should not send a conditional request after a document has been modified via the store", async () => {
+            var httpStore = new HTTPStore("http://localhost:8020");
+            ConditionalRequests = [];
+            await httpStore.read("/etag/doc");
+            await httpStore.write("/etag/doc", "...");
+            await httpStore.read("/etag/doc");
+            expect(ConditionalRequests).to.deep.equal([]);
+        });
     });
 
     describe("source = await httpStore.list(path)", () => {
@@ -234,6 +287,24 @@ describe("HTTPStore", () => {
             expect(await fileStore.read(`/path/to/doc1`)).to.equal("new doc1 @ /path/to/");
         });
 
+        it("should send `options.ifMatch` as If-Match header", async () => {
+            var httpStore = new HTTPStore("http://localhost:8020");
+            await httpStore.write(`/if-match/doc`, "...", {ifMatch: "v1"});
+            expect(TestHeader).to.equal('"v1"');
+        });
+
+        it("should throw a ConflictError if the response status is 412", async () => {
+            var httpStore = new HTTPStore("http://localhost:8020");
+            class NoError extends Error {};
+            try {
+                await httpStore.write("/if-match/doc", "...", {ifMatch: "v2"});
+                throw new NoError();
+            } catch (error) {
+                expect(error).to.be.instanceof(HTTPStore.ConflictError);
+                expect(error.message).to.equal("Version conflict: WRITE http://localhost:8020/if-match/doc");
+            }
+        });
+
         it("should throw a WritePermissionDeniedError if the response status is 403", async () => {
             var httpStore = new HTTPStore("http://localhost:8020");
             class NoError extends Error {};
@@ -439,6 +510,32 @@ describe("HTTPStore", () => {
         });
     });
 
+    describe("unwatch = httpStore.watch(path, callback)", () => {
+
+        it("should call the callback for each message of a text/event-stream response", async () => {
+            var httpStore = new HTTPStore("http://localhost:8020");
+            var changes = [];
+            TestHeader = null;
+            var unwatch = httpStore.watch("/sse/path/to/", change => changes.push(change));
+            await new Promise(resolve => setTimeout(resolve, 100));
+            unwatch();
+            expect(TestHeader).to.equal("text/event-stream");
+            expect(changes).to.deep.equal([
+                {type:"write", path:"/path/to/doc1"},
+                {type:"delete", path:"/path/to/doc2"},
+            ]);
+        });
+
+        it("should never call the callback if the response status is not 200", async () => {
+            var httpStore = new HTTPStore("http://localhost:8020");
+            var changes = [];
+            var unwatch = httpStore.watch("/private/path/to/", change => changes.push(change));
+            await new Promise(resolve => setTimeout(resolve, 100));
+            unwatch();
+            expect(changes).to.deep.equal([]);
+        });
+    });
+
     describe("custom headers", () => {
 
         it("should add the options.headers to each GET requst", async () => {
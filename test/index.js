@@ -37,11 +37,32 @@ describe("olojs", () => {
         expect(olojs.Protocols).to.equal(require("../lib/protocols"));
     });
 
+    it("should export the `CachedStore` class", () => {
+        expect(olojs.CachedStore).to.equal(require("../lib/cached-store"));
+    });
+
+    it("should export the `AccessControlledStore` class", () => {
+        expect(olojs.AccessControlledStore).to.equal(require("../lib/access-controlled-store"));
+    });
+
+    it("should export the `PermissionStore` class", () => {
+        expect(olojs.PermissionStore).to.equal(require("../lib/permission-store"));
+    });
+
     it("should export the `HTTPServer` module", () => {
         expect(olojs.HTTPServer).to.equal(require("../lib/http-server"));
     });
 
+    it("should export the `StaticSite` module", () => {
+        expect(olojs.StaticSite).to.equal(require("../lib/static-site"));
+    });
+
+    it("should export the `Config` module", () => {
+        expect(olojs.Config).to.equal(require("../lib/config"));
+    });
+
     require("./expression");
+    require("./hash");
     require("./document");
     require("./store");
     require("./memory-store");
@@ -49,5 +70,11 @@ describe("olojs", () => {
     require("./http-store");
     require("./router");
     require("./protocols");
+    require("./cached-store");
+    require("./access-controlled-store");
+    require("./permission-store");
     require("./http-server");
+    require("./static-site");
+    require("./config");
+    require("./cli");
 });
@@ -80,6 +80,22 @@ describe("MemoryStore", () => {
             expect(await memStore.read("/path/to/doc1")).to.equal("doc1 source");
             expect(await memStore.read("/doc2")).to.equal("doc2 source");
         });
+
+        it("should modify the document only if `options.ifMatch` matches the current version", async () => {
+            var memStore = new MemoryStore({"/path/to/doc": "doc source"});
+            await memStore.write("/path/to/doc", "new doc source", {ifMatch: MemoryStore.versionOf("doc source")});
+            expect(await memStore.read("/path/to/doc")).to.equal("new doc source");
+            try {
+                await memStore.write("/path/to/doc", "other doc source", {ifMatch: MemoryStore.versionOf("doc source")});
+                throw new Error("It didn't throw");
+            } catch (error) {
+                expect(error).to.be.instanceof(MemoryStore.ConflictError);
+                expect(error.message).to.equal("Version conflict: WRITE /path/to/doc");
+            }
+            expect(await memStore.read("/path/to/doc")).to.equal("new doc source");
+            await memStore.write("/path/to/doc2", "doc2 source", {ifMatch: MemoryStore.versionOf("")});
+            expect(await memStore.read("/path/to/doc2")).to.equal("doc2 source");
+        });
     });
 
     describe("await memoryStore.delete(path)", () => {
@@ -118,4 +134,129 @@ describe("MemoryStore", () => {
             expect(await memStore.read("/path/to/dir/doc2")).to.equal("");
         });
     });
+
+    describe("unwatch = memoryStore.watch(path, callback)", () => {
+
+        it("should call the callback on every change of the given document", async () => {
+            var memStore = new MemoryStore({"/path/to/doc": "v1"});
+            var changes = [];
+            memStore.watch("/path/to/doc", change => changes.push(change));
+            await memStore.write("/path/to/doc", "v2");
+            await memStore.write("/path/to/doc2", "...");
+            await memStore.delete("/path/to/x/../doc");
+            expect(changes).to.deep.equal([
+                {type:'write', path:'/path/to/doc'},
+                {type:'delete', path:'/path/to/doc'}
+            ]);
+        });
+
+        it("should call the callback on every change under the given directory", async () => {
+            var memStore = new MemoryStore({
+                "/path/to/dir/doc1": "doc1",
+                "/path/to/dir/doc2": "doc2",
+            });
+            var changes = [];
+            memStore.watch("/path/to/dir/", change => changes.push(change));
+            await memStore.write("/path/to/dir/", "...");
+            await memStore.write("/path/to/doc3", "...");
+            await memStore.deleteAll("/path/to/dir");
+            expect(changes).to.deep.equal([
+                {type:'write', path:'/path/to/dir/'},
+                {type:'delete', path:'/path/to/dir/doc1'},
+                {type:'delete', path:'/path/to/dir/doc2'},
+                {type:'delete', path:'/path/to/dir/'},
+            ]);
+        });
+
+        it("should stop calling the callback once `unwatch` gets called", async () => {
+            var memStore = new MemoryStore();
+            var changes = [];
+            var unwatch = memStore.watch("/", change => changes.push(change));
+            await memStore.write("/path/to/doc1", "...");
+            unwatch();
+            await memStore.write("/path/to/doc2", "...");
+            expect(changes).to.deep.equal([{type:'write', path:'/path/to/doc1'}]);
+        });
+    });
+
+    describe("versions = await memoryStore.history(path)", () => {
+
+        it("should return a version for every write and delete operation", async () => {
+            var memStore = new MemoryStore({
+                "/path/to/doc": "v1",
+            });
+            await memStore.write("/path/to/doc", "v2");
+            await memStore.delete("/path/to/doc");
+            var versions = await memStore.history("/path/to/doc");
+            expect(versions.map(version => version.id)).to.deep.equal([1, 2, 3]);
+            for (let version of versions) {
+                expect(version.date).to.be.instanceof(Date);
+            }
+        });
+
+        it("should record a deletion for each document removed by deleteAll", async () => {
+            var memStore = new MemoryStore({
+                "/path/to/dir/doc1": "doc1",
+                "/path/to/dir/doc2": "doc2",
+            });
+            await memStore.deleteAll("/path/to/dir/");
+            expect((await memStore.history("/path/to/dir/doc1")).length).to.equal(2);
+            expect((await memStore.history("/path/to/dir/doc2")).length).to.equal(2);
+        });
+
+        it("should keep only the last `MemoryStore.maxVersions` versions", async () => {
+            class LimitedMemoryStore extends MemoryStore {
+                static get maxVersions () { return 2 }
+            }
+            var memStore = new LimitedMemoryStore({"/path/to/doc": "v1"});
+            expect(MemoryStore.maxVersions).to.equal(100);
+            await memStore.write("/path/to/doc", "v2");
+            await memStore.write("/path/to/doc", "v3");
+            var versions = await memStore.history("/path/to/doc");
+            expect(versions.map(version => version.id)).to.deep.equal([2, 3]);
+            expect(await memStore.readVersion("/path/to/doc", 1)).to.equal("");
+            expect(await memStore.readVersion("/path/to/doc", 3)).to.equal("v3");
+        });
+
+        it("should return an empty array if the document has no history", async () => {
+            var memStore = new MemoryStore();
+            await memStore.delete("/path/to/doc");
+            expect(await memStore.history("/path/to/doc")).to.deep.equal([]);
+        });
+    });
+
+    describe("source = await memoryStore.readVersion(path, versionId)", () => {
+
+        it("should return the source of the given version of the document", async () => {
+            var memStore = new MemoryStore({
+                "/path/to/doc": "v1",
+            });
+            await memStore.write("/path/to/doc", "v2");
+            await memStore.delete("/path/to/doc");
+            expect(await memStore.readVersion("/path/to/doc", 1)).to.equal("v1");
+            expect(await memStore.readVersion("path/to/x/../doc", 2)).to.equal("v2");
+            expect(await memStore.readVersion("/path/to/doc", 3)).to.equal("");
+        });
+
+        it("should return an empty string if the version doesn't exist", async () => {
+            var memStore = new MemoryStore({
+                "/path/to/doc": "v1",
+            });
+            expect(await memStore.readVersion("/path/to/doc", 2)).to.equal("");
+            expect(await memStore.readVersion("/path/to/doc2", 1)).to.equal("");
+        });
+    });
+
+    describe("await memoryStore.revert(path, versionId)", () => {
+
+        it("should restore the given version as a new version", async () => {
+            var memStore = new MemoryStore({
+                "/path/to/doc": "v1",
+            });
+            await memStore.write("/path/to/doc", "v2");
+            await memStore.revert("/path/to/doc", 1);
+            expect(await memStore.read("/path/to/doc")).to.equal("v1");
+            expect((await memStore.history("/path/to/doc")).length).to.equal(3);
+        });
+    });
 });
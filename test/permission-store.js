@@ -0,0 +1,163 @@
+var expect = require("chai").expect;
+var MemoryStore = require('../lib/memory-store');
+var PermissionStore = require('../lib/permission-store');
+
+
+
+describe("PermissionStore", () => {
+
+    var acl = {
+        "/"             : {read: "*",       write: ["alice", "bob"]},
+        "/private/"     : {read: ["alice"], write: ["alice"]},
+        "/drafts/"      : {read: "*",       write: user => user !== null},
+        "/locked/"      : {read: "*"},
+    };
+
+    var createStore = () => new MemoryStore({
+        "/doc": "doc @ /",
+        "/private/doc": "doc @ /private/",
+        "/drafts/doc": "doc @ /drafts/",
+        "/locked/doc": "doc @ /locked/",
+    });
+
+    var expectError = async (promise, ErrorClass, message) => {
+        try {
+            await promise;
+            throw new Error("It didn't throw");
+        } catch (error) {
+            expect(error).to.be.instanceof(ErrorClass);
+            expect(error.message).to.equal(message);
+        }
+    }
+
+    describe("source = await permStore.read(path)", () => {
+
+        it("should delegate to the wrapped store if the user has read permission", async () => {
+            var store = createStore();
+            expect(await new PermissionStore(store, acl, null).read("/doc")).to.equal("doc @ /");
+            expect(await new PermissionStore(store, acl, "alice").read("/private/doc")).to.equal("doc @ /private/");
+            expect(await new PermissionStore(store, acl, "alice").read("/private/../doc")).to.equal("doc @ /");
+        });
+
+        it("should throw a ReadPermissionDeniedError if the user has no read permission", async () => {
+            var permStore = new PermissionStore(createStore(), acl, "bob");
+            await expectError(permStore.read("/private/doc"), PermissionStore.ReadPermissionDeniedError, "Permission denied: READ /private/doc");
+            await expectError(permStore.read("/private"), PermissionStore.ReadPermissionDeniedError, "Permission denied: READ /private");
+        });
+
+        it("should deny any permission on paths not matching any rule", async () => {
+            var permStore = new PermissionStore(createStore(), {"/public/": {read:"*"}}, "alice");
+            await expectError(permStore.read("/doc"), PermissionStore.ReadPermissionDeniedError, "Permission denied: READ /doc");
+        });
+    });
+
+    describe("entries = await permStore.list(path)", () => {
+
+        it("should delegate to the wrapped store if the user has read permission", async () => {
+            var permStore = new PermissionStore(createStore(), acl, "alice");
+            expect((await permStore.list("/private/")).sort()).to.deep.equal(["doc"]);
+        });
+
+        it("should throw a ReadPermissionDeniedError if the user has no read permission", async () => {
+            var permStore = new PermissionStore(createStore(), acl, "bob");
+            await expectError(permStore.list("/private/"), PermissionStore.ReadPermissionDeniedError, "Permission denied: READ /private/");
+        });
+    });
+
+    describe("await permStore.write(path, source)", () => {
+
+        it("should delegate to the wrapped store if the user has write permission", async () => {
+            var store = createStore();
+            await new PermissionStore(store, acl, "bob").write("/doc", "new doc @ /");
+            expect(await store.read("/doc")).to.equal("new doc @ /");
+            await new PermissionStore(store, acl, "carol").write("/drafts/doc", "new doc @ /drafts/");
+            expect(await store.read("/drafts/doc")).to.equal("new doc @ /drafts/");
+        });
+
+        it("should throw a WritePermissionDeniedError if the user has no write permission", async () => {
+            var store = createStore();
+            await expectError(new PermissionStore(store, acl, "carol").write("/doc", "..."), PermissionStore.WritePermissionDeniedError, "Permission denied: WRITE /doc");
+            await expectError(new PermissionStore(store, acl, null).write("/drafts/doc", "..."), PermissionStore.WritePermissionDeniedError, "Permission denied: WRITE /drafts/doc");
+            await expectError(new PermissionStore(store, acl, "alice").write("/locked/doc", "..."), PermissionStore.WritePermissionDeniedError, "Permission denied: WRITE /locked/doc");
+            expect(await store.read("/doc")).to.equal("doc @ /");
+        });
+    });
+
+    describe("await permStore.delete(path)", () => {
+
+        it("should delegate to the wrapped store if the user has write permission", async () => {
+            var store = createStore();
+            await new PermissionStore(store, acl, "alice").delete("/private/doc");
+            expect(await store.read("/private/doc")).to.equal("");
+        });
+
+        it("should throw a WritePermissionDeniedError if the user has no write permission", async () => {
+            var store = createStore();
+            await expectError(new PermissionStore(store, acl, "bob").delete("/private/doc"), PermissionStore.WritePermissionDeniedError, "Permission denied: WRITE /private/doc");
+            expect(await store.read("/private/doc")).to.equal("doc @ /private/");
+        });
+    });
+
+    describe("await permStore.deleteAll(path)", () => {
+
+        it("should delegate to the wrapped store if the user has write permission", async () => {
+            var store = createStore();
+            await new PermissionStore(store, acl, "alice").deleteAll("/private/");
+            expect(await store.read("/private/doc")).to.equal("");
+        });
+
+        it("should throw a WritePermissionDeniedError if the user has no write permission on any of the sub-paths", async () => {
+            var store = createStore();
+            await expectError(new PermissionStore(store, acl, "alice").deleteAll("/"), PermissionStore.WritePermissionDeniedError, "Permission denied: WRITE /locked/");
+            expect(await store.read("/doc")).to.equal("doc @ /");
+        });
+    });
+
+    describe("versions = await permStore.history(path)", () => {
+
+        it("should check the read permission and delegate to the wrapped store", async () => {
+            var store = createStore();
+            expect((await new PermissionStore(store, acl, "alice").history("/private/doc")).length).to.equal(1);
+            await expectError(new PermissionStore(store, acl, "bob").history("/private/doc"), PermissionStore.ReadPermissionDeniedError, "Permission denied: READ /private/doc");
+        });
+    });
+
+    describe("source = await permStore.readVersion(path, versionId)", () => {
+
+        it("should check the read permission and delegate to the wrapped store", async () => {
+            var store = createStore();
+            expect(await new PermissionStore(store, acl, "alice").readVersion("/private/doc", 1)).to.equal("doc @ /private/");
+            await expectError(new PermissionStore(store, acl, "bob").readVersion("/private/doc", 1), PermissionStore.ReadPermissionDeniedError, "Permission denied: READ /private/doc");
+        });
+    });
+
+    describe("unwatch = permStore.watch(path, callback)", () => {
+
+        it("should throw a ReadPermissionDeniedError if the user has no read permission", () => {
+            var permStore = new PermissionStore(createStore(), acl, "bob");
+            expect(() => permStore.watch("/private/", change => {})).to.throw(PermissionStore.ReadPermissionDeniedError);
+        });
+
+        it("should notify only the changes to readable documents", async () => {
+            var store = createStore();
+            var changes = [];
+            var unwatch = new PermissionStore(store, acl, "bob").watch("/", change => changes.push(change));
+            await store.write("/doc", "...");
+            await store.write("/private/doc", "...");
+            unwatch();
+            expect(changes).to.deep.equal([{type:"write", path:"/doc"}]);
+        });
+    });
+
+    describe("doc = await permStore.load(docId)", () => {
+
+        it("should check the read permission of the imported documents", async () => {
+            var store = createStore();
+            await store.write("/index", `<% doc = import "/private/doc" %><% doc %>`);
+            var {text} = await new PermissionStore(store, acl, "alice").load("/index");
+            expect(text).to.equal("doc @ /private/");
+            var {text} = await new PermissionStore(store, acl, "bob").load("/index");
+            expect(text).to.equal("[[Undefined: failure, [[Error: Permission denied: READ /private/doc]], @1:13]]");
+        });
+    });
+});
@@ -170,6 +170,67 @@ describe("Protocols instance", () => {
             }
         })
     });
+
+    describe(`unwatch = protocols.watch(id, callback)`, () => {
+
+        it("should delegate to the matching mounted protocol", async () => {
+            var store1 = new MemoryStore();
+            var defStore = new MemoryStore();
+            var protocols = new Protocols({
+                s1: store1,
+                default: defStore,
+            });
+            var changes = [];
+            protocols.watch('s1:/path/to/', change => changes.push(change));
+            protocols.watch('/path/to/', change => changes.push(change));
+            await store1.write('/path/to/doc', "...");
+            await defStore.write('/path/to/doc', "...");
+            expect(changes).to.deep.equal([
+                {type:'write', path:'s1:/path/to/doc'},
+                {type:'write', path:'/path/to/doc'},
+            ]);
+        });
+    });
+
+    describe(`versions = protocols.history(id)`, () => {
+
+        it("should delegate to the matching mounted protocol", async () => {
+            var protocols = new Protocols({
+                s1: new MemoryStore({"/path/to/doc": "s1 v1"}),
+                default: new MemoryStore({"/path/to/doc": "default v1"}),
+            });
+            await protocols.write('s1:/path/to/doc', "s1 v2");
+            expect((await protocols.history('s1:/path/to/doc')).length).to.equal(2);
+            expect((await protocols.history('/path/to/doc')).length).to.equal(1);
+            expect(await protocols.history('s2:/path/to/doc')).to.deep.equal([]);
+        });
+    });
+
+    describe(`source = protocols.readVersion(id, versionId)`, () => {
+
+        it("should delegate to the matching mounted protocol", async () => {
+            var protocols = new Protocols({
+                s1: new MemoryStore({"/path/to/doc": "s1 v1"}),
+                default: new MemoryStore({"/path/to/doc": "default v1"}),
+            });
+            await protocols.write('s1:/path/to/doc', "s1 v2");
+            expect(await protocols.readVersion('s1:/path/to/doc', 1)).to.equal("s1 v1");
+            expect(await protocols.readVersion('s1:/path/to/doc', 2)).to.equal("s1 v2");
+            expect(await protocols.readVersion('/path/to/doc', 1)).to.equal("default v1");
+            expect(await protocols.readVersion('s2:/path/to/doc', 1)).to.equal("");
+        });
+    });
+
+    describe(`delimiters = protocols.getDelimiters(id)`, () => {
+
+        it("should delegate to the matching mounted protocol", () => {
+            var store1 = new MemoryStore();
+            store1.delimiters = ["{{", "}}"];
+            var protocols = new Protocols({s1: store1, default: new MemoryStore()});
+            expect(protocols.getDelimiters('s1:/path/to/doc')).to.deep.equal(["{{", "}}"]);
+            expect(protocols.getDelimiters('/path/to/doc')).to.deep.equal(["<%", "%>"]);
+        });
+    });
     
     describe(`context = protocols.createContext(docId)`, () => {
         
@@ -211,5 +272,32 @@ describe("Protocols instance", () => {
             var {text} = await protocols.load('ppp:/path/to/doc?s=2');
             expect(text).to.equal("store2 document at ppp:/path/to/doc")
         });
+
+        it("should resolve the imported ids within the protocol of the importing document", async () => {
+            var protocols = new Protocols({
+                default: new MemoryStore({
+                    "/doc": `<% (import "http://host/lib?y=2").v %> <% (import "./b").v %> <% (import "file:/x/y").v %>`,
+                    "/b": `<% v = "b" %>`
+                }),
+                http: new MemoryStore({
+                    "/host/lib": `<% v = argns.y + (import "./lib2?z=3").z %>`,
+                    "/host/lib2": `<% z = argns.z %>`
+                }),
+                file: new MemoryStore({
+                    "/x/y": `<% v = "fy" %><% (import "./z").v %> <% (import "/w").v %> <% (import "../w").v %>`,
+                    "/x/z": `<% v = "fz" %>`,
+                    "/w": `<% v = "fw" %>`
+                })
+            });
+
+            var {text} = await protocols.load('/doc');
+            expect(text).to.equal("5 b fy");
+
+            var {text} = await protocols.load('file:/x/y');
+            expect(text).to.equal("fz fw fw");
+
+            expect(await protocols.dependencies('/doc')).to.deep.equal(
+                    ["http:/host/lib", "/b", "file:/x/y", "http:/host/lib2", "file:/x/z", "file:/w"]);
+        });
     });
 });
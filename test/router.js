@@ -236,6 +236,19 @@ describe("Router", () => {
             expect(await store2.read('/path/to/doc')).to.equal("doc @ store2");
         });
 
+        it("should pass the options to the matching mounted store", async () => {
+            var store1 = new MemoryStore({'/path/to/doc': "doc @ store1"});
+            var router = new Router({s1: store1});
+            try {
+                await router.write('/s1/path/to/doc', "...", {ifMatch: Router.versionOf("xxx")});
+                throw new Error("It didn't throw");
+            } catch (error) {
+                expect(error).to.be.instanceof(Router.ConflictError);
+            }
+            await router.write('/s1/path/to/doc', "new doc @ store1", {ifMatch: Router.versionOf("doc @ store1")});
+            expect(await store1.read('/path/to/doc')).to.equal("new doc @ store1");
+        });
+
         it("should throw an error if no match is found", async () => {
             var router = new Router();
             try {
@@ -306,4 +319,113 @@ describe("Router", () => {
             }
         })
     });
+
+    describe(`unwatch = router.watch(id, callback)`, () => {
+
+        it("should delegate to the matching mounted store", async () => {
+            var store1 = new MemoryStore();
+            var router = new Router({s1: store1});
+            var changes = [];
+            router.watch('/s1/path/to/', change => changes.push(change));
+            await store1.write('/path/to/doc', "...");
+            await store1.delete('/path/to/doc');
+            await store1.write('/path/doc', "...");
+            expect(changes).to.deep.equal([
+                {type:'write', path:'/s1/path/to/doc'},
+                {type:'delete', path:'/s1/path/to/doc'},
+            ]);
+        });
+
+        it("should watch all the stores mounted under the given directory", async () => {
+            var store0 = new MemoryStore();
+            var store1 = new MemoryStore();
+            var store2 = new MemoryStore();
+            var router = new Router({
+                "/": store0,
+                "/path/to/s1": store1,
+                "/path/to/s2": store2,
+            });
+            var changes = [];
+            var unwatch = router.watch('/path/', change => changes.push(change));
+            await store0.write('/path/doc0', "...");
+            await store0.write('/doc0', "...");
+            await store1.write('/doc1', "...");
+            await store2.write('/dir/doc2', "...");
+            expect(changes).to.deep.equal([
+                {type:'write', path:'/path/doc0'},
+                {type:'write', path:'/path/to/s1/doc1'},
+                {type:'write', path:'/path/to/s2/dir/doc2'},
+            ]);
+
+            unwatch();
+            await store1.write('/doc1', "...");
+            expect(changes.length).to.equal(3);
+        });
+
+        it("should ignore the changes to paths shadowed by other mount points", async () => {
+            var store0 = new MemoryStore();
+            var store1 = new MemoryStore();
+            var router = new Router({
+                "/": store0,
+                "/s1": store1,
+            });
+            var changes = [];
+            router.watch('/', change => changes.push(change));
+            await store0.write('/s1/doc', "...");
+            await store1.write('/doc', "...");
+            expect(changes).to.deep.equal([
+                {type:'write', path:'/s1/doc'},
+            ]);
+        });
+    });
+
+    describe(`versions = router.history(id)`, () => {
+
+        it("should delegate to the matching mounted store", async () => {
+            var store1 = new MemoryStore({"/path/to/doc": "v1"});
+            var router = new Router({s1: store1});
+            await router.write('/s1/path/to/doc', "v2");
+            var versions = await router.history('/s1/path/to/doc');
+            expect(versions.map(version => version.id)).to.deep.equal([1, 2]);
+        });
+
+        it("should return an empty array if no match is found", async () => {
+            var router = new Router();
+            expect(await router.history('/s1/path/to/doc')).to.deep.equal([]);
+        })
+    });
+
+    describe(`source = router.readVersion(id, versionId)`, () => {
+
+        it("should delegate to the matching mounted store", async () => {
+            var store1 = new MemoryStore({"/path/to/doc": "v1"});
+            var router = new Router({s1: store1});
+            await router.write('/s1/path/to/doc', "v2");
+            expect(await router.readVersion('/s1/path/to/doc', 1)).to.equal("v1");
+            expect(await router.readVersion('/s1/path/to/doc', 2)).to.equal("v2");
+        });
+
+        it("should return an empty string if no match is found", async () => {
+            var router = new Router();
+            expect(await router.readVersion('/s1/path/to/doc', 1)).to.equal("");
+        })
+    });
+
+    describe(`delimiters = router.getDelimiters(id)`, () => {
+
+        it("should delegate to the matching mounted store", async () => {
+            var store1 = new MemoryStore({"/doc": "x = {{ 1+1 }}"});
+            store1.delimiters = ["{{", "}}"];
+            var router = new Router({s1: store1, s2: new MemoryStore({"/doc": "x = <% 1+1 %>"})});
+            expect(router.getDelimiters('/s1/doc')).to.deep.equal(["{{", "}}"]);
+            expect(router.getDelimiters('/s2/doc')).to.deep.equal(["<%", "%>"]);
+            expect((await router.load('/s1/doc')).text).to.equal("x = 2");
+            expect((await router.load('/s2/doc')).text).to.equal("x = 2");
+        });
+
+        it("should return the router delimiters if no match is found", () => {
+            var router = new Router();
+            expect(router.getDelimiters('/s1/doc')).to.deep.equal(document.DEFAULT_DELIMITERS);
+        });
+    });
 });
@@ -0,0 +1,92 @@
+var expect = require("chai").expect;
+var rimraf = require("rimraf");
+var fs = require("fs");
+var MemoryStore = require("../lib/memory-store");
+var StaticSite = require("../lib/static-site");
+
+var OUTPUT_PATH = `${__dirname}/static-site`;
+
+
+
+describe("StaticSite", () => {
+
+    describe("files = await StaticSite.export(store, outputPath, options)", () => {
+
+        var createStore = () => new MemoryStore({
+            "/": "root index",
+            "/doc": `<% x = 10 %>x = <% x %>`,
+            "/dir/": "dir index",
+            "/dir/doc1": `doc1 <a href="#/doc">doc</a> <a href='./doc2#sec'>doc2</a> <a href="../dir/">dir</a>`,
+            "/dir/doc2": `doc2 <a href="#/dir/doc1?x=1">doc1</a> <a href="./img.png">img</a> <a href="http://x.com/a">x</a>`,
+            "/dir/subdir/doc3": `doc3 <a href="#/">root</a> <a href="../../doc">doc</a>`,
+        });
+
+        var readPage = path => fs.readFileSync(`${OUTPUT_PATH}/${path}`, 'utf8');
+
+        beforeEach(() => {
+            rimraf.sync(OUTPUT_PATH);
+        });
+
+        it("should write a HTML page for each document and return the list of files", async () => {
+            var files = await StaticSite.export(createStore(), OUTPUT_PATH);
+            expect(files.sort()).to.deep.equal([
+                "dir/doc1.html", "dir/doc2.html", "dir/index.html",
+                "dir/subdir/doc3.html", "doc.html", "index.html"
+            ]);
+            for (let file of files) {
+                expect(fs.existsSync(`${OUTPUT_PATH}/${file}`)).to.be.true;
+            }
+            expect(fs.existsSync(`${OUTPUT_PATH}/dir/subdir/index.html`)).to.be.false;
+        });
+
+        it("should wrap the rendered text in the default template", async () => {
+            await StaticSite.export(createStore(), OUTPUT_PATH);
+            expect(readPage("doc.html")).to.include(`<div class="olo-viewer">x = 10</div>`);
+            expect(readPage("doc.html")).to.include(`<link rel="stylesheet" href="./viewer.css">`);
+            expect(readPage("dir/subdir/doc3.html")).to.include(`<link rel="stylesheet" href="../../viewer.css">`);
+        });
+
+        it("should rewrite the links to documents", async () => {
+            var template = (path, text, rootURL) => text;
+            await StaticSite.export(createStore(), OUTPUT_PATH, {template});
+            // the sanitizer serializes all the attribute values in double quotes
+            expect(readPage("dir/doc1.html")).to.equal(
+                `doc1 <a href="../doc.html">doc</a> <a href="doc2.html#sec">doc2</a> <a href="index.html">dir</a>`);
+            expect(readPage("dir/doc2.html")).to.equal(
+                `doc2 <a href="doc1.html">doc1</a> <a href="./img.png">img</a> <a href="http://x.com/a">x</a>`);
+            expect(readPage("dir/subdir/doc3.html")).to.equal(
+                `doc3 <a href="../../index.html">root</a> <a href="../../doc.html">doc</a>`);
+        });
+
+        it("should sanitize the rendered text", async () => {
+            var store = createStore();
+            await store.write("/unsafe", `<p onclick="alert(1)">unsafe</p><script>alert(2)</script><img src="x" onerror="alert(3)"><a href="javascript:alert(4)">js</a>`);
+            var template = (path, text, rootURL) => text;
+            await StaticSite.export(store, OUTPUT_PATH, {template});
+            expect(readPage("unsafe.html")).to.equal(`<p>unsafe</p><img src="x"><a>js</a>`);
+        });
+
+        it("should sanitize the rendered text but not the template", async () => {
+            var template = (path, text, rootURL) => `<script src="${rootURL}/app.js"></script>${text}`;
+            await StaticSite.export(createStore(), OUTPUT_PATH, {template});
+            expect(readPage("doc.html")).to.equal(`<script src="./app.js"></script>x = 10`);
+        });
+
+        it("should pass the document path and the root URL to the template", async () => {
+            var template = (path, text, rootURL) => `${path} ${rootURL}`;
+            await StaticSite.export(createStore(), OUTPUT_PATH, {template});
+            expect(readPage("index.html")).to.equal("/ .");
+            expect(readPage("dir/doc1.html")).to.equal("/dir/doc1 ..");
+            expect(readPage("dir/subdir/doc3.html")).to.equal("/dir/subdir/doc3 ../..");
+        });
+
+        it("should export only the documents under `options.path`", async () => {
+            var files = await StaticSite.export(createStore(), OUTPUT_PATH, {path: "/dir/subdir"});
+            expect(files).to.deep.equal(["dir/subdir/doc3.html"]);
+        });
+
+        after(() => {
+            rimraf.sync(OUTPUT_PATH);
+        });
+    });
+});
@@ -74,6 +74,61 @@ describe("Store", () => {
         });
     });
 
+    describe("versions = await store.history(path)", () => {
+        it("should return an empty array", async () => {
+            var store = new Store();
+            expect(await store.history("/path/to/doc")).to.deep.equal([]);
+        });
+    });
+
+    describe("source = await store.readVersion(path, versionId)", () => {
+        it("should return an empty string", async () => {
+            var store = new Store();
+            expect(await store.readVersion("/path/to/doc", 1)).to.equal("");
+        });
+    });
+
+    describe("await store.revert(path, versionId)", () => {
+
+        it("should write the source returned by readVersion", async () => {
+            var store = new Store();
+            var written = null;
+            store.readVersion = (path, versionId) => `version ${versionId} of ${path}`;
+            store.write = (path, source) => { written = source };
+            await store.revert("/path/to/doc", 3);
+            expect(written).to.equal("version 3 of /path/to/doc");
+        });
+
+        it("should throw a `WriteOperationNotAllowed` error", async () => {
+            var store = new Store();
+            try {
+                await store.revert("/path/to/doc1", 1);
+                throw new Error("Id didn't throw");
+            } catch (error) {
+                expect(error).to.be.instanceof(Store.WriteOperationNotAllowedError);
+                expect(error.message).to.equal("Operation not allowed: WRITE /path/to/doc1");
+            }
+        });
+    });
+
+    describe("unwatch = store.watch(path, callback)", () => {
+        it("should return a function", async () => {
+            var store = new Store();
+            var unwatch = store.watch("/path/to/", change => {});
+            expect(unwatch).to.be.a("function");
+            unwatch();
+        });
+    });
+
+    describe('Store.versionOf(source)', () => {
+
+        it("should return a string identifying the source", () => {
+            expect(Store.versionOf("doc source")).to.be.a("string");
+            expect(Store.versionOf("doc source")).to.equal(Store.versionOf("doc source"));
+            expect(Store.versionOf("doc source")).to.not.equal(Store.versionOf("doc source 2"));
+        });
+    });
+
     describe('Store.parseId', () => {
 
         it("should return {path, argns}", () => {
@@ -254,6 +309,144 @@ describe("Store", () => {
                 var ns = await ctx.import("/path/to/doc2");
                 expect(count).to.equal(2);
             });
+
+            it("should return the value mapped to the name following `#` in the imported namespace", async () => {
+                const store = new Store();
+                store.read = path => path === "/lib" ?
+                        `<% x = argns.x %><def:card title>[<% title %>:<% x %>]</def:card>` :
+                        `<% card = import "./lib?x=1#card" %><% card "a" %> <% import "/lib?x=3#x" %>`;
+                var doc = await store.load("/doc");
+                expect(doc.text).to.equal("[a:1] 3");
+                expect(await store.createContext("/doc").import("/lib?x=2#x")).to.equal(2);
+                expect(store.dependencies("/doc")).to.deep.equal(["/lib"]);
+            });
+
+            it("should fail with a CircularImportError when a document imports itself via other documents", async () => {
+                const store = new Store();
+                store.read = path => ({
+                    "/a": `a <% import "/b" %>`,
+                    "/b": `b <% b = import "/c" %>`,
+                    "/c": `c <% c = import "/a" %>`,
+                    "/d": `d <% import "/d" %>`,
+                })[path];
+
+                var ctx = store.createContext("/x");
+                var b_ns = await ctx.import("/b");
+                var a_ns = b_ns.b.c;
+                var error = a_ns.__errors__[0].error;
+                expect(error).to.be.instanceof(Store.CircularImportError);
+                expect(error.message).to.equal("Circular import: /b -> /c -> /a -> /b");
+                expect(error.cycle).to.deep.equal(["/b", "/c", "/a", "/b"]);
+
+                var doc = await store.load("/d");
+                expect(doc.text).to.equal("d [[Undefined: failure, [[Error: Circular import: /d -> /d]], @1:7]]");
+                expect(doc.namespace.__errors__[0].error.cycle).to.deep.equal(["/d", "/d"]);
+
+                store.read = path => ({
+                    "/a": `a <% b = import "/b" %>`,
+                    "/b": `b <% a = import "/a" %>`
+                })[path];
+                var count = 0, read = store.read;
+                store.read = path => (count++, read(path));
+                var doc = await store.load("/a");
+                expect(count).to.equal(2);
+                var error = doc.namespace.b.__errors__[0].error;
+                expect(error.message).to.equal("Circular import: /a -> /b -> /a");
+
+                store.read = path => ({
+                    "/e": `<% import "/e?y=2&x=1" %>`
+                })[path];
+                var doc = await store.load("/e?x=1;y=2");
+                expect(doc.namespace.__errors__[0].error.message).to.equal("Circular import: /e?x=1&y=2 -> /e?x=1&y=2");
+            });
+
+            it("should not consider as a cycle the import of the same document with different argns", async () => {
+                const store = new Store();
+                store.read = path => ({
+                    "/fact": `<% n = argns.n, f = n > 1 ? n * (import ("./fact?n=" + str(n-1))).f ; 1 %><% f %>`,
+                    "/tree": `[<% d = argns.d %><% d > 0 ? (import ("/tree?d=" + str(d-1))) ; "" %><% d > 0 ? (import ("/tree?d=" + str(d-1))) ; "" %>]`
+                })[path];
+                expect((await store.load("/fact?n=3")).text).to.equal("6");
+                expect((await store.load("/tree?d=2")).text).to.equal("[[[][]][[][]]]");
+            });
+        });
+    });
+
+    describe('paths = store.dependencies(docId)', () => {
+
+        var createStore = () => {
+            var store = new Store();
+            store.sources = {
+                "/index": `<% import "/tools/tags" %><% import "./pages/p1?x=1" %>`,
+                "/pages/p1": `<% import "/tools/tags" %><% import "/tools/dates" %>`,
+                "/tools/tags": `<% import "./strings" %>`,
+                "/tools/strings": `strings`,
+                "/tools/dates": `dates`,
+            };
+            store.read = path => store.sources[path] || "";
+            return store;
+        }
+
+        it("should return the paths imported directly or indirectly by the loaded document", async () => {
+            var store = createStore();
+            expect(store.dependencies("/index")).to.deep.equal([]);
+            await store.load("/index");
+            expect(store.dependencies("/index?x=1")).to.deep.equal(["/tools/tags", "/pages/p1", "/tools/strings", "/tools/dates"]);
+            expect(store.dependencies("/pages/p1")).to.deep.equal(["/tools/tags", "/tools/dates", "/tools/strings"]);
+            expect(store.dependencies("/tools/dates")).to.deep.equal([]);
+        });
+
+        it("should reflect the last evaluation of the document", async () => {
+            var store = createStore();
+            await store.load("/index");
+            store.sources["/pages/p1"] = `no imports`;
+            await store.load("/pages/p1");
+            expect(store.dependencies("/index")).to.deep.equal(["/tools/tags", "/pages/p1", "/tools/strings"]);
+        });
+    });
+
+    describe('paths = store.dependents(path)', () => {
+
+        it("should return the paths of the loaded documents importing directly or indirectly the given document", async () => {
+            var store = new Store();
+            var sources = {
+                "/index": `<% import "/pages/p1" %><% import "/pages/p2" %>`,
+                "/pages/p1": `<% import "/tools/tags" %>`,
+                "/pages/p2": `p2`,
+                "/tools/tags": `tags`,
+            };
+            store.read = path => sources[path] || "";
+            await store.load("/index");
+            expect(store.dependents("/tools/tags")).to.deep.equal(["/pages/p1", "/index"]);
+            expect(store.dependents("/pages/p2")).to.deep.equal(["/index"]);
+            expect(store.dependents("/index")).to.deep.equal([]);
+        });
+
+        it("should handle circular imports", async () => {
+            var store = new Store();
+            store.read = path => path === "/a" ? `<% import "/b" %>` : `<% import "/a" %>`;
+            await store.load("/a");
+            expect(store.dependents("/a")).to.deep.equal(["/b"]);
+            expect(store.dependencies("/a")).to.deep.equal(["/b"]);
+        });
+    });
+
+    describe('meta = await store.readMeta(path)', () => {
+
+        it("should return the front matter metadata of the document without evaluating it", async () => {
+            var store = new Store();
+            store.read = path => `---\ntitle: ${path}\n---\n<% f() %>`;
+            var meta = await store.readMeta('/path/to/doc');
+            expect(meta).to.deep.equal({title: "/path/to/doc"});
+        });
+
+        it("should be available to the documents as `importMeta` context function", async () => {
+            var store = new Store();
+            store.read = path => path === "/path/index" ?
+                    `<% (importMeta "./doc1").title %>, <% (importMeta "/path/doc2").title %>` :
+                    `---\ntitle: ${path}\n---\n<% undefined_name %>`;
+            var doc = await store.load('/path/index');
+            expect(doc.text).to.equal("/path/doc1, /path/doc2");
         });
     });
 
@@ -269,5 +462,87 @@ describe("Store", () => {
             expect(doc.namespace.argns).to.deep.equal({x:10});
             expect(doc.text).to.equal(`p = /path/to/doc, x = 10`);
         });
+
+        it("should parse the document with the delimiters returned by `store.getDelimiters`", async () => {
+            var store = new Store();
+            store.read = path => path === "/lib" ? `{{ y = 2 }}` : `x = {{ 1+1 }} <% x %> {{ (import "./lib").y }}`;
+            store.delimiters = ["{{", "}}"];
+            expect(store.getDelimiters('/doc')).to.deep.equal(["{{", "}}"]);
+            var doc = await store.load('/doc');
+            expect(doc.text).to.equal(`x = 2 <% x %> 2`);
+            var doc = await store.load('/doc', {delimiters: ["<%", "%>"]});
+            expect(doc.text).to.equal(`x = {{ 1+1 }}  {{ (import "./lib").y }}`);
+        });
+
+        it("should compile the documents via the shared `document.compileCache`", async () => {
+            var store = new Store();
+            store.read = path => `cached doc <% 1+1 %> at <% __path__ %>`;
+            var evaluate = document.compileCache.parse(`cached doc <% 1+1 %> at <% __path__ %>`);
+            var parse = document.compileCache.parse;
+            var parsedSources = [];
+            document.compileCache.parse = function (source, options) {
+                var evaluate = parse.call(this, source, options);
+                parsedSources.push([source, evaluate]);
+                return evaluate;
+            }
+            try {
+                expect((await store.load('/doc1')).text).to.equal("cached doc 2 at /doc1");
+                expect((await store.load('/doc2')).text).to.equal("cached doc 2 at /doc2");
+            } finally {
+                delete document.compileCache.parse;
+            }
+            expect(parsedSources.length).to.equal(2);
+            expect(parsedSources[0][1]).to.equal(evaluate);
+            expect(parsedSources[1][1]).to.equal(evaluate);
+        });
+
+        it("should render the document through the `__layout__` documents", async () => {
+            var store = new Store();
+            var sources = {
+                "/docs/a": `<% title = "A" %><% __layout__ = "../layouts/page" %>body of <% title %>`,
+                "/layouts/page": `<% __layout__ = "./base" %><h1><% page.title %></h1><% content %>`,
+                "/layouts/base": `<html><% content %></html>`,
+            };
+            store.read = path => sources[path] || "";
+            var doc = await store.load('/docs/a');
+            expect(doc.text).to.equal("<html><h1>A</h1>body of A</html>");
+            expect(doc.namespace.title).to.equal("A");
+            expect(store.dependencies('/docs/a')).to.deep.equal(["/layouts/page", "/layouts/base"]);
+        });
+
+        it("should reject with a CircularImportError if the layouts form a loop", async () => {
+            var store = new Store();
+            store.read = path => `<% __layout__ = "${path === '/a' ? '/b' : '/a'}" %>x`;
+            try {
+                await store.load('/a');
+                throw new Error("It didn't throw");
+            } catch (error) {
+                expect(error).to.be.instanceof(Store.CircularImportError);
+                expect(error.message).to.equal("Circular import: /a -> /b -> /a");
+            }
+        });
+
+        it("should expose the document front matter as `namespace.__meta__`", async () => {
+            var store = new Store();
+            store.read = path => `---\ntitle: Doc\n---\n<% __meta__.title %>`;
+            var doc = await store.load('/path/to/doc');
+            expect(doc.namespace.__meta__).to.deep.equal({title: "Doc"});
+            expect(doc.text).to.equal("Doc");
+        });
+
+        it("should reject with a DocumentEvaluationError on failure if `options.strict` is true", async () => {
+            var store = new Store();
+            store.read = path => `x = <% 1 + %>`;
+            var doc = await store.load('/path/to/doc');
+            expect(doc.namespace.__errors__.length).to.equal(1);
+            try {
+                await store.load('/path/to/doc', {strict: true});
+                throw new Error("It didn't throw");
+            } catch (error) {
+                expect(error).to.be.instanceof(document.DocumentEvaluationError);
+                expect(error.line).to.equal(1);
+                expect(error.column).to.equal(5);
+            }
+        });
     });
 });